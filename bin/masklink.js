@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+/* Copyright 2020 Open Ag Data Alliance
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const urllib = require('url');
+const argv = require('minimist')(process.argv.slice(2), {
+  string: [ 'paths', 'url', 'jwk', 'token', 'signer-name', 'signer-url', 'alg', 'policies', 'bookmarks', 'timeout', 'retries', 'trusted-list', 'copies', 'expires', 'purpose' ],
+  boolean: [ 'help', 'per-path-nonce', 'sync', 'force', 'link', 'json', 'created' ],
+  alias: { h: 'help', p: 'paths', t: 'token', k: 'jwk' },
+});
+const ml = require('../index.js');
+
+const usage = `Usage: masklink <command> [options] [input]
+
+input is a file, - for stdin (the default), or an https:// URL to a resource (needs --token)
+
+Commands:
+  mask    Mask paths in a resource.  For a file or stdin, prints { nonce, nonceurl, resource } and you
+          have to save the nonce yourself.  For a URL, creates a masked copy on that cloud and prints its id.
+            --paths /a,/b        json-pointer paths to mask (required unless --policies has one for the input's _type)
+            --policies <file>    JSON file of content type => { paths, signer } mask policies
+            --url <url>          for a file or stdin, the URL where the original resource lives (required)
+            --jwk <file>         private JWK to sign the masked resource with (optional)
+            --per-path-nonce     use a separate nonce for each path
+            --alg <alg>          hash algorithm: SHA256 (default), SHA384, or SHA512
+            --sync               for a URL, record the original on the copy so the sync command can update it later
+            --link               for a URL, link the copy from the original's _meta/masks and the original from the copy's _meta
+            --bookmarks <path>   for a URL, also link the copy under this path, i.e. /bookmarks/trellisfw/masked-audits
+            --created            record the time each mask was made in it
+            --expires <date>     date (i.e. 2021-06-30T00:00:00Z) after which verify reports the masks as expired
+            --purpose <text>     what the masks were made for, i.e. the data-sharing agreement they are under
+  sync    Re-mask a copy made with mask --sync if its original has changed.  Input must be the copy's URL.
+            --jwk <file>         private JWK to re-sign with (required if the copy was signed)
+            --force              re-mask even if the original's _rev has not changed
+  rotate  Replace the nonce(s) of an original, i.e. after one leaked, and re-mask its masked copies with the new one.
+          Input must be the original's URL.  Prints { nonceurls, updated, failed }, exits with 1 if any copy failed.
+            --jwk <file>         private JWK to re-sign signed copies with
+            --copies <u1>,<u2>   URLs of more copies to update, besides the ones linked from the original with mask --link
+  verify  Verify all the masks and signatures in a masked resource or an audit bundle.  Exits with 1 on failure.
+            --json               print { valid, match, unchanged, trusted, report } as JSON instead of text
+            --trusted-list <f>   only trust signers in this trusted list (a JSON file or an https:// URL)
+                                 instead of the default Trellis trusted list
+  paths   Print the paths of all the masks found in a resource
+  sign    Add a mask signature to a resource and print it
+            --jwk <file>         private JWK to sign with (required)
+            --paths /a,/b        paths that were masked, to record in the signature (optional)
+
+Options for every command:
+  --token <token>        token for the cloud at the input URL and the URLs inside masks
+  --signer-name <name>   name of the signer for signatures
+  --signer-url <url>     url of the signer for signatures
+  --timeout <ms>         how long to wait for each request to a cloud (default 30000)
+  --retries <n>          how many times to retry a GET that failed because of the network (default 2)
+`;
+
+function isURL(input) {
+  return typeof input === 'string' && /^https?:\/\//.test(input);
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let str = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => { str += chunk });
+    process.stdin.on('end', () => resolve(str));
+    process.stdin.on('error', reject);
+  });
+}
+
+// A URL is read through the same connections the library makes, so --timeout and --retries apply to it too
+async function readInput(input) {
+  if (isURL(input)) {
+    if (!argv.token) throw new Error(`You must pass --token to read from ${input}`);
+    const u = urllib.parse(input);
+    const connection = await ml.connectionResolver({ token: argv.token })(`${u.protocol}//${u.host}`);
+    return await connection.get({ path: u.pathname }).then(r => r.data);
+  }
+  const str = (!input || input === '-') ? await readStdin() : fs.readFileSync(input, 'utf8');
+  return JSON.parse(str);
+}
+
+// --jwk is read with the default file-based key signer
+function keySignerFromArgs() {
+  if (!argv.jwk) return false;
+  return ml.fileKeySigner(argv.jwk);
+}
+
+// A URL is passed along as-is for verifyRemoteResource to fetch, a file is read here
+function trust() {
+  if (!argv['trusted-list']) return undefined;
+  const trustedList = argv['trusted-list'];
+  return { trustedList: isURL(trustedList) ? trustedList : JSON.parse(fs.readFileSync(trustedList, 'utf8')) };
+}
+
+function parsePaths() {
+  if (!argv.paths) return false;
+  return argv.paths.split(',').map(p => p.trim()).filter(p => p.length > 0);
+}
+
+function signer() {
+  if (!argv['signer-name'] && !argv['signer-url']) return undefined;
+  return { name: argv['signer-name'], url: argv['signer-url'] };
+}
+
+function print(obj) {
+  console.log(typeof obj === 'string' ? obj : JSON.stringify(obj, false, '  '));
+}
+
+function yesno(b) {
+  return b ? 'yes' : 'NO';
+}
+
+const commands = {
+  mask: async (input) => {
+    if (argv.policies) ml.loadMaskPolicies(argv.policies);
+    const keySigner = keySignerFromArgs();
+    const perPathNonce = argv['per-path-nonce'];
+    const alg = argv.alg;
+    const terms = { created: argv.created || undefined, expires: argv.expires, purpose: argv.purpose };
+    if (isURL(input)) {
+      const token = argv.token;
+      const paths = parsePaths() || undefined; // undefined means use the policy for the resource's _type
+      if (!paths && !argv.policies) throw new Error('mask: you must pass --paths or --policies');
+      const newResourceid = keySigner
+        ? await ml.maskAndSignRemoteResourceAsNewResource(Object.assign({url: input, keySigner, signer: signer(), token, paths, perPathNonce, alg, sync: argv.sync, link: argv.link, bookmarksPath: argv.bookmarks}, terms))
+        : await ml.maskRemoteResourceAsNewResource(Object.assign({url: input, token, paths, perPathNonce, alg, sync: argv.sync, link: argv.link, bookmarksPath: argv.bookmarks}, terms));
+      return print(newResourceid);
+    }
+    if (!argv.url) throw new Error('mask: you must pass --url with the location of the original resource when masking a file');
+    const resource = await readInput(input);
+    const policy = ml.getMaskPolicy(resource._type);
+    const paths = parsePaths() || policy.paths;
+    if (!paths) throw new Error(`mask: you must pass --paths or --policies with a policy for ${resource._type}`);
+    const result = ml.maskResource(Object.assign({resource, urlToResource: argv.url, paths, perPathNonce, alg}, terms));
+    if (keySigner) {
+      result.resource = await ml.signResource({resource: result.resource, keySigner, signer: signer() || policy.signer, paths});
+    }
+    print(result);
+  },
+
+  sync: async (input) => {
+    if (!isURL(input)) throw new Error('sync: you must pass the URL of the masked copy');
+    const { updated, rev } = await ml.syncMaskedResource({url: input, token: argv.token, keySigner: keySignerFromArgs(), signer: signer(), force: argv.force});
+    print(updated ? `updated from original rev ${rev}` : `already up to date with original rev ${rev}`);
+  },
+
+  rotate: async (input) => {
+    if (!isURL(input)) throw new Error('rotate: you must pass the URL of the original');
+    const copies = argv.copies ? argv.copies.split(',').map(c => c.trim()).filter(c => c.length > 0) : [];
+    const result = await ml.rotateNonce({url: input, token: argv.token, copies, keySigner: keySignerFromArgs(), signer: signer()});
+    if (result.failed.length > 0) process.exitCode = 1;
+    print(result);
+  },
+
+  verify: async (input) => {
+    const token = argv.token;
+    let result = null;
+    if (isURL(input)) {
+      result = await ml.verifyRemoteResource({url: input, token, trust: trust()});
+    } else {
+      const obj = await readInput(input);
+      result = obj['trellis-audit-bundle']
+        ? await ml.verifyAuditBundle({bundle: obj, trust: trust()})
+        : await ml.verifyRemoteResource({resource: obj, token, trust: trust()});
+    }
+    const { trusted, unchanged, valid, match, expired, signatures } = result;
+    const failed = !valid || !match || (signatures.length > 0 && !unchanged);
+    if (failed) process.exitCode = 1;
+    if (argv.json) return print({ valid, match, unchanged, trusted, expired, report: result.report });
+    print(`valid:     ${yesno(valid)}`);
+    print(`match:     ${yesno(match)}`);
+    if (expired) print('expired:   YES, at least one mask has expired');
+    print(`unchanged: ${yesno(unchanged)}${signatures.length < 1 ? ' (no signatures)' : ''}`);
+    print(`trusted:   ${yesno(trusted)}`);
+    signatures.forEach((s,i) => {
+      const name = s.signer && s.signer.name ? s.signer.name : 'unknown signer';
+      print(`  signature ${i}: ${s.type} by ${name}: valid = ${s.valid}, unchanged = ${s.unchanged}, trusted = ${s.trusted}`);
+    });
+    print(failed ? 'FAILED' : 'PASSED');
+  },
+
+  paths: async (input) => {
+    const resource = await readInput(input);
+    print(ml.findAllMaskPathsInResource(resource));
+  },
+
+  sign: async (input) => {
+    const keySigner = keySignerFromArgs();
+    if (!keySigner) throw new Error('sign: you must pass --jwk with a private key file');
+    const resource = await readInput(input);
+    print(await ml.signResource({resource, keySigner, signer: signer(), paths: parsePaths() || undefined}));
+  },
+};
+
+async function main() {
+  const [ command, input ] = argv._;
+  if (argv.help || !commands[command]) {
+    console.error(usage);
+    process.exitCode = argv.help ? 0 : 2;
+    return;
+  }
+  try {
+    ml.configureRequests({
+      timeout: argv.timeout ? +argv.timeout : undefined,
+      retries: argv.retries ? +argv.retries : undefined,
+    });
+    await commands[command](input);
+  } catch(e) {
+    console.error(`masklink ${command}: ${e.message}`);
+    process.exitCode = 2;
+  }
+}
+
+main();
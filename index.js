@@ -1,8 +1,12 @@
 const _ = require('lodash');
 const urllib = require('url');
+const crypto = require('crypto');
+const fs = require('fs');
 const Promise = require('bluebird');
+const axios = require('axios');
 const jsonpointer = require('json-pointer');
 const oada = require('@oada/oada-cache');
+const oadacerts = require('@oada/oada-certs');
 const tsig = require('@trellisfw/signatures');
 
 const debug = require('debug');
@@ -11,19 +15,275 @@ const  info = debug('trellisfw-masklink:info');
 const  warn = debug('trellisfw-masklink:warn');
 const error = debug('trellisfw-masklink:error');
 
+//---------------------------------------------------------------------------
+//---------------------------------------------------------------------------
+// Errors:
+//---------------------------------------------------------------------------
+//---------------------------------------------------------------------------
+
+// Anything that goes wrong talking to a cloud is thrown as one of these, so you can tell a missing
+// nonce from a forbidden original from a flaky network.  code is one of:
+//   not-found, forbidden (401 or 403), network (no response, timeouts, 429, and 5xx), 
+//   invalid-mask, mismatch, signature-invalid, or remote for any other error response.
+// status is the HTTP status if there was one, url is the url that failed, and cause is the original error.
+class MaskLinkError extends Error {
+  constructor(message, {code, status, url, cause} = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code || 'remote';
+    this.status = status || false;
+    this.url = url || false;
+    if (cause) this.cause = cause;
+  }
+}
+class NotFoundError extends MaskLinkError {
+  constructor(message, info) { super(message, _.assign({}, info, { code: 'not-found' })) }
+}
+class ForbiddenError extends MaskLinkError {
+  constructor(message, info) { super(message, _.assign({}, info, { code: 'forbidden' })) }
+}
+class NetworkError extends MaskLinkError {
+  constructor(message, info) { super(message, _.assign({}, info, { code: 'network' })) }
+}
+class InvalidMaskError extends MaskLinkError {
+  constructor(message, info) { super(message, _.assign({}, info, { code: 'invalid-mask' })) }
+}
+// An original and nonce that don't match their mask.  It is an InvalidMaskError too, so catching that catches both.
+class MismatchError extends InvalidMaskError {
+  constructor(message, info) {
+    super(message, info);
+    this.code = 'mismatch';
+  }
+}
+class SignatureInvalidError extends MaskLinkError {
+  constructor(message, info) { super(message, _.assign({}, info, { code: 'signature-invalid' })) }
+}
+
+// Codes node (and axios) put on an error when a request never got an answer
+const NETWORK_ERROR_CODES = [ 'ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 
+                              'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE' ];
+function isNetworkError(e) {
+  return !!e && (_.includes(NETWORK_ERROR_CODES, e.code) || (!!e.request && !e.response));
+}
+// Turns whatever oada-cache (or a connection you passed) threw into one of the errors above.  Anything 
+// that isn't an error response or a network failure (i.e. a TypeError from a bad path) is returned as it was.
+function remoteError(e, url) {
+  if (e instanceof MaskLinkError) return e;
+  const status = (e && (e.status || (e.response && e.response.status))) || false;
+  if (!status && !isNetworkError(e)) return e;
+  const why = status ? `status ${status}` : (e.code || e.message);
+  const info = { status, url, cause: e };
+  if (status === 404) return new NotFoundError(`${url} was not found (${why})`, info);
+  if (status === 401 || status === 403) return new ForbiddenError(`Not allowed to access ${url} (${why})`, info);
+  if (!status || status === 429 || status >= 500) return new NetworkError(`Request to ${url} failed (${why})`, info);
+  return new MaskLinkError(`Request to ${url} failed (${why})`, info);
+}
+// Same class and code as remoteError, but with a message that says what we were trying to do.  Errors
+// that remoteError leaves alone are returned as they were.
+function contextError(e, url, message) {
+  const err = remoteError(e, url);
+  if (!(err instanceof MaskLinkError)) return err;
+  return new err.constructor(`${message}.  Error was: ${err.message}`, { code: err.code, status: err.status, url: err.url, cause: err.cause || e });
+}
+
 //---------------------------------------------------------------------------
 //---------------------------------------------------------------------------
 // Helpers:
 //---------------------------------------------------------------------------
 //---------------------------------------------------------------------------
 
+// Timeouts and retries for every request to a cloud.  timeout is per attempt in ms (0 for none), 
+// and GET's that fail with a network error are tried again up to retries more times, waiting 
+// backoff, then 2*backoff, then 4*backoff, etc. ms in between.  Change them with configureRequests.
+// transport is the (async) function ({domain, token}) => transport used whenever a function is only given a token.
+const requestOptions = { timeout: 30000, retries: 2, backoff: 250, transport: oadaCacheTransport };
+function configureRequests({timeout, retries, backoff, transport}) {
+  if (typeof timeout !== 'undefined') requestOptions.timeout = timeout;
+  if (typeof retries !== 'undefined') requestOptions.retries = retries;
+  if (typeof backoff !== 'undefined') requestOptions.backoff = backoff;
+  if (typeof transport !== 'undefined') {
+    if (typeof transport !== 'function') throw new Error('#configureRequests: transport must be a function ({domain, token}) => transport');
+    requestOptions.transport = transport;
+  }
+  trace('#configureRequests: request options are now ', requestOptions);
+  return _.clone(requestOptions);
+}
+
+// oada-cache (like axios by default) hands back a body that isn't JSON or text as a string, which loses the
+// bytes of a binary resource (i.e. a PDF under _meta/vdoc) that a link mask commits to.
+function isDecodedBinary(r) {
+  const contentType = (r && r.headers && r.headers['content-type']) || '';
+  return !!r && typeof r.data === 'string' && contentType.length > 0 && !/json/.test(contentType) && !/^text\//.test(contentType);
+}
+
+// Wraps a connection so its requests time out, GET's are retried, and everything throws the errors above.
+// A GET that comes back as a decoded binary body is made again over plain HTTP with the connection's token
+// (if it has one, like oada-cache does) to get the actual bytes as a Buffer.
+// Watches are passed straight through since they are supposed to stay open.
+const RESILIENT = Symbol('trellisfw-masklink-resilient');
+function resilientConnection(connection, domain) {
+  if (!connection || connection[RESILIENT]) return connection;
+  let bytesConnection = null;
+  const attempt = (method, req, target) => {
+    const url = req.url || domain+req.path;
+    let p = Promise.resolve((target || connection)[method](req));
+    if (requestOptions.timeout) p = p.timeout(requestOptions.timeout);
+    return p.catch(Promise.TimeoutError, e => { 
+      throw new NetworkError(`Request to ${url} timed out after ${requestOptions.timeout}ms`, { url, cause: e });
+    }).catch(e => { throw remoteError(e, url) });
+  };
+  const getBytes = (req, r) => {
+    if (!isDecodedBinary(r) || !connection.token || !domain) return r;
+    trace(`#resilientConnection: ${req.path} came back as a string of ${r.headers['content-type']}, getting its bytes`);
+    bytesConnection = bytesConnection || httpTransport({ domain, token: connection.token });
+    return attempt('get', req, bytesConnection);
+  };
+  const retrying = (req, n) => attempt('get', req).then(r => getBytes(req, r)).catch(NetworkError, e => {
+    if (n >= requestOptions.retries) throw e;
+    const wait = requestOptions.backoff * Math.pow(2, n);
+    warn(`#resilientConnection: ${e.message}, trying again in ${wait}ms`);
+    return Promise.delay(wait).then(() => retrying(req, n+1));
+  });
+  const wrapped = Object.create(connection);
+  wrapped[RESILIENT] = true;
+  wrapped.get = req => req.watch ? connection.get(req) : retrying(req, 0);
+  _.each([ 'put', 'post', 'delete' ], m => { wrapped[m] = req => attempt(m, req) });
+  return wrapped;
+}
+
 async function connectionOrToken({connection,token,domain}) {
   if (!connection) {
-    if (!token) throw new Error('trellisfw-masklink#connectionOrToken: You must pass either a token or an oada-cache connection');
+    if (!token) throw new Error('trellisfw-masklink#connectionOrToken: You must pass either a token or a connection');
     trace(`#connectionOrToken: No connection passed, creating one with token using inferred domain ${domain}`);
-    connection = await oada.connect({ domain, token, cache: false, websocket: false });
+    connection = await requestOptions.transport({ domain, token });
   }
-  return connection;
+  return resilientConnection(connection, domain);
+}
+
+// Transports: every remote function talks to a cloud through a "connection", which is anything with
+//   get({path, headers}), put({path, data, headers}), post({path, data, headers}), and delete({path, headers}) (only re-masking a copy needs it)
+// that return (a promise for) { data, headers }.  Failed requests should reject with an error that has
+// status (or response.status, like axios) so they turn into the errors above.  JSON comes back parsed, 
+// anything else as a string or Buffer.  These make one for a domain:
+
+// An @oada/oada-cache connection already is a transport, this just makes one without a cache or websocket
+async function oadaCacheTransport({domain, token, websocket}) {
+  return oada.connect({ domain, token, cache: false, websocket: !!websocket });
+}
+
+// Plain HTTP(S) with axios, no OADA client needed (works in the browser too).
+// headers: optional extra headers for every request
+function httpTransport({domain, token, headers}) {
+  if (!domain) throw new Error('#httpTransport: you must pass a domain');
+  domain = domain.replace(/\/$/, '');
+  const request = (method, {path, data, headers: reqheaders}) => Promise.resolve(axios({
+    method,
+    url: domain+path,
+    data,
+    headers: _.assign({}, token ? { authorization: `Bearer ${token}` } : {}, headers, reqheaders),
+    responseType: 'arraybuffer', // so binary resources come back byte-for-byte
+  })).then(r => {
+    const contentType = (r.headers && r.headers['content-type']) || '';
+    let body = Buffer.from(r.data || '');
+    if (/json/.test(contentType) && body.length > 0) body = JSON.parse(body.toString('utf8'));
+    else if (/^text\//.test(contentType)) body = body.toString('utf8');
+    return { status: r.status, data: body, headers: r.headers };
+  });
+  return {
+    get:      req => request('get', req),
+    put:      req => request('put', req),
+    post:     req => request('post', req),
+    delete:   req => request('delete', req),
+  };
+}
+
+// A transport over a plain object, i.e. for tests or to work on documents offline.  GET's return whatever is at the
+// path, PUT's merge into it, and POST's make a new random key under the path.  It is not an OADA server: links
+// aren't followed and there are no _rev's.
+// store: optional object to use (and change), defaults to a new empty one.  It is also at transport.store.
+function memoryTransport({store} = {}) {
+  store = store || {};
+  const notFound = path => _.assign(new Error(`${path} was not found`), { status: 404 });
+  const contentTypeFor = v => Buffer.isBuffer(v) ? 'application/octet-stream' : ((v && v._type) || 'application/json');
+  const write = (path, data) => {
+    const old = jsonpointer.has(store, path) ? jsonpointer.get(store, path) : undefined;
+    jsonpointer.set(store, path, (_.isPlainObject(old) && _.isPlainObject(data)) ? _.merge(old, data) : _.cloneDeep(data));
+  };
+  // The library sends nonces as JSON strings
+  const parse = (data, headers) => (typeof data === 'string' && /json/.test(_.get(headers, 'content-type', 'json')))
+    ? JSON.parse(data) : data;
+  return {
+    store,
+    get: async ({path}) => {
+      if (!jsonpointer.has(store, path)) throw notFound(path);
+      const data = jsonpointer.get(store, path);
+      return { status: 200, data: _.cloneDeep(data), headers: { 'content-type': contentTypeFor(data) } };
+    },
+    put: async ({path, data, headers}) => {
+      write(path, parse(data, headers));
+      return { status: 204, data: '', headers: { 'content-location': path } };
+    },
+    post: async ({path, data, headers}) => {
+      const newpath = `${path.replace(/\/$/, '')}/${crypto.randomBytes(16).toString('hex')}`;
+      write(newpath, parse(data, headers));
+      return { status: 201, data: '', headers: { 'content-location': newpath } };
+    },
+    delete: async ({path}) => {
+      if (!jsonpointer.has(store, path)) throw notFound(path);
+      jsonpointer.remove(store, path);
+      return { status: 204, data: '', headers: {} };
+    },
+  };
+}
+// Returns an async function (domain) => connection that creates connections lazily and
+// re-uses them for each domain.  
+// connections: optional, either an object of domain => token or connection, or a function 
+//              that takes a domain (i.e. from domainForMask) and returns a token or connection (or a promise for one).
+// connection, token: used for any domain that is not found in connections.  A connection
+//                    is used for every domain, a token gets a new connection for each domain.
+function connectionResolver({connection, token, connections}) {
+  const cache = {};
+  return function(domain) {
+    if (!cache[domain]) {
+      cache[domain] = Promise.try(async () => {
+        let found = null;
+        if (typeof connections === 'function') found = await connections(domain);
+        else if (connections && connections[domain]) found = connections[domain];
+        if (found) {
+          trace(`#connectionResolver: found connection or token for domain ${domain}`);
+          return connectionOrToken(typeof found === 'string' ? { token: found, domain } : { connection: found, domain });
+        }
+        return connectionOrToken({ token: (token ? token : false), connection: (connection ? connection : false), domain });
+      }).catch(e => {
+        // Don't keep a failed connect around, so the next mask on this domain tries again
+        delete cache[domain];
+        throw e;
+      });
+    }
+    return cache[domain];
+  };
+}
+// Hash algorithms allowed in masks, keyed by the name that goes in hashinfo.alg.  Anything else
+// (MD5, SHA1, etc.) is rejected by both mask and verify.
+const HASH_ALGORITHMS = {
+  SHA256: 'sha256',
+  SHA384: 'sha384',
+  SHA512: 'sha512',
+};
+// Accepts things like 'sha-384' or 'SHA384' and returns 'SHA384', or false if it is not allowed
+function normalizeHashAlg(alg) {
+  if (typeof alg !== 'string') return false;
+  alg = alg.toUpperCase().replace(/-/g, '');
+  return HASH_ALGORITHMS[alg] ? alg : false;
+}
+// Same as tsig.hashJSON, but with a choice of algorithm.  SHA256 just uses tsig.hashJSON.
+function hashJSON(obj, alg) {
+  if (alg === 'SHA256') return tsig.hashJSON(obj);
+  const ser = tsig.serializeJSON(_.omit(obj, ['_id', '_meta', '_rev']));
+  return {
+    alg,
+    hash: crypto.createHash(HASH_ALGORITHMS[alg]).update(ser).digest('hex'),
+  };
 }
 function makeNonce() {
   return tsig.jose.util.base64url.encode(tsig.jose.util.randomBytes(32));
@@ -38,13 +298,21 @@ function isMask(t) {
     && typeof t.hashinfo.alg === 'string'
     && typeof t.hashinfo.hash === 'string');
 }
+// A link to another resource: { _id } or { _id, _rev } and nothing else
+function isLink(v) {
+  return _.isPlainObject(v) && typeof v._id === 'string' && _.every(_.keys(v), k => k === '_id' || k === '_rev');
+}
 function domainFromURL(url) {
   const u = urllib.parse(url);
   let p = '';
   if (u.port) p = ':'+u.port;
-  return u.protocol + '//' + u.host + p; // https://some.domain:port 
+  return u.protocol + '//' + u.hostname + p; // https://some.domain:port 
   // that's where the /.well-known should live
 }
+// Where a nonce for a single path lives when each path gets its own nonce: <url>/_meta/nonces/<pointer>
+function nonceURLForPath(urlToResource, p) {
+  return urlToResource + '/_meta/nonces' + p;
+}
 function pathFromURL(url) {
   const u = urllib.parse(url);
   return u.pathname; // /a/b/c
@@ -78,12 +346,95 @@ function findAllMaskPathsInResource(resource) {
 
 
 
+// Turns a JSONPath expression into the same list of segments that jsonpointer.parse gives, using
+// '*' for any key and '**' for any number of keys.  Supports $, .key, ['key'], [0], [*], .*, and ..key
+function parseJSONPath(jp) {
+  const segments = [];
+  const tokens = /\.\.|\.([^.\[\]]+)|\[\s*'([^']*)'\s*\]|\[\s*"([^"]*)"\s*\]|\[\s*(\*|\d+)\s*\]/y;
+  tokens.lastIndex = 1; // skip the $
+  while (tokens.lastIndex < jp.length) {
+    const start = tokens.lastIndex;
+    const m = tokens.exec(jp);
+    if (!m) throw new Error(`Invalid or unsupported JSONPath (${jp}) at character ${start}`);
+    if (m[0] === '..') {
+      segments.push('**');
+      // ..key is the same as ..['key'], so just keep going with the key part
+      if (jp[tokens.lastIndex] !== '[') tokens.lastIndex--; 
+      continue;
+    }
+    segments.push(_.find([ m[1], m[2], m[3], m[4] ], x => x !== undefined));
+  }
+  return segments;
+}
+function isSelector(p) {
+  if (typeof p !== 'string') return false;
+  return p[0] === '$' || (p[0] === '/' && _.some(jsonpointer.parse(p), s => s === '*' || s === '**'));
+}
+// This is exported too: given a resource and a list of json pointers, wildcard pointers, or JSONPath 
+// expressions, returns the list of concrete json pointers that they match in the resource.  
+// Wildcard pointers use * for any single key and ** for any number of keys: /lots/*/location, /**/phone
+// JSONPath expressions must start with $: $.lots[*].location, $..phone
+// Plain json pointers are passed through as-is, even if they aren't in the resource.  Wildcards do not
+// go inside existing masks or the top-level OADA keys (_id, _rev, _meta, _type), and never match the whole
+// resource (i.e. /** or $), which can't be masked.  If one path is inside another one only the outer one is kept
+// since masking it hides the inner one too.
+function expandPaths(resource, paths) {
+  const oadakeys = [ '_id', '_rev', '_meta', '_type' ];
+  function recursiveMatch(curobj, segments, curpath) {
+    if (segments.length < 1) return [ jsonpointer.compile(curpath) ];
+    const [ seg, ...rest ] = segments;
+    if (!curobj || typeof curobj !== 'object' || curobj['trellis-mask']) return [];
+    if (seg !== '*' && seg !== '**') {
+      return _.has(curobj, seg) ? recursiveMatch(curobj[seg], rest, curpath.concat(seg)) : [];
+    }
+    const keys = _.filter(_.keys(curobj), k => curpath.length > 0 || !_.includes(oadakeys, k));
+    const children = _.flatMap(keys, k => recursiveMatch(curobj[k], seg === '**' ? segments : rest, curpath.concat(k)));
+    // ** can also match no keys at all:
+    return seg === '**' ? recursiveMatch(curobj, rest, curpath).concat(children) : children;
+  }
+  const expanded = _.uniq(_.flatMap(paths, p => {
+    if (!isSelector(p)) return [ p ];
+    const segments = p[0] === '$' ? parseJSONPath(p) : jsonpointer.parse(p);
+    const matches = _.without(recursiveMatch(resource, segments, []), '');
+    trace(`#expandPaths: selector ${p} matched paths `, matches);
+    return matches;
+  }));
+  return _.filter(expanded, p => !_.some(expanded, other => other !== p && _.startsWith(p, other+'/')));
+}
+
+
+
 //----------------------------------------------------------------------------------
 //----------------------------------------------------------------------------------
 // Functions for dealing with mask objects by themselves (i.e. not entire resources)
 //----------------------------------------------------------------------------------
 //----------------------------------------------------------------------------------
 
+// The optional terms of a mask, as they go in the trellis-mask: only the ones that were passed, with dates as ISO strings.
+// created: when the mask was made, true for now, or a Date, ms since the epoch, or a date string
+// expires: when the mask should stop being honored, same kinds of dates as created (but not true).  verify says it is expired after that.
+// purpose: string saying what the mask was made for, i.e. 'Shared with Buyer Co. under the 2020 supply agreement'
+// Throws for a date it can't understand, or an expires that is not after created.
+function maskTerms({created, expires, purpose}) {
+  const toISO = (d, name) => {
+    if (d === true && name === 'created') return new Date().toISOString();
+    const date = typeof d === 'boolean' ? new Date(NaN) : new Date(d);
+    if (isNaN(date.getTime())) throw new Error(`#maskTerms: ${name} (${d}) is not a date`);
+    return date.toISOString();
+  };
+  const terms = {};
+  if (created !== undefined && created !== false && created !== null) terms.created = toISO(created, 'created');
+  if (expires !== undefined && expires !== false && expires !== null) terms.expires = toISO(expires, 'expires');
+  if (terms.created && terms.expires && Date.parse(terms.expires) <= Date.parse(terms.created)) {
+    throw new Error(`#maskTerms: expires (${terms.expires}) must be after created (${terms.created})`);
+  }
+  if (purpose !== undefined && purpose !== false && purpose !== null) {
+    if (typeof purpose !== 'string') throw new Error('#maskTerms: purpose must be a string');
+    terms.purpose = purpose;
+  }
+  return terms;
+}
+
 //----------------------------------------------------------------------------------------
 // Creates a nonce, adds that to the original object as original._nonce, then hashes that.
 // Returns the nonce and the trellis-mask object.  Note that you have to save the nonce
@@ -94,8 +445,17 @@ function findAllMaskPathsInResource(resource) {
 // nonceurl: whether you pass a nonce or not, you must specify where you intend to store the nonce for later retrieval.
 //           IMPORTANT: this function does not store the nonce, that's up to you to do.  This just puts that nonceurl
 //           in the resulting mask.
-// NOTE: the url cannot terminate at a resource: i.e https://some.domain/resources/12345.  You can't mask an entire resource.
-function mask({original, url, nonce, nonceurl}) {
+// alg: hash algorithm to use: SHA256 (default), SHA384, or SHA512.  Throws for anything else.
+// created, expires, purpose: optional, see maskTerms.  They go in the trellis-mask as-is, so the only thing that
+//                            stops someone from changing them is a signature over the resource the mask is in.
+// NOTE: the url cannot terminate at a resource: i.e https://some.domain/resources/12345.  You can't mask an entire resource
+// this way, but you can mask a link to one with maskLink.
+function mask({original, url, nonce, nonceurl, alg, created, expires, purpose}) {
+  const hashalg = normalizeHashAlg(alg || 'SHA256');
+  if (!hashalg) {
+    error(`#mask: unsupported hash algorithm ${alg}`);
+    throw new Error(`unsupported hash algorithm (${alg}): use one of ${_.keys(HASH_ALGORITHMS).join(', ')}`);
+  }
   if (!nonce) { 
     nonce = makeNonce(); // 256 bits of randomness in a base64 string
     trace(`#mask: created nonce ${nonce}`);
@@ -111,102 +471,286 @@ function mask({original, url, nonce, nonceurl}) {
   }
   // Since the original can be a string or a number in addition to an array or object,
   // we construct an "outer" JSON object to hold it and put the nonce there
-  const tm = {
+  const tm = _.assign({
     version: '1.0',
-    hashinfo: tsig.hashJSON({original,nonce}),
+    hashinfo: hashJSON({original,nonce}, hashalg),
     url,
     nonceurl,
-  };
+  }, maskTerms({created, expires, purpose}));
   trace(`#mask: returning mask = { "trellis-mask": ${JSON.stringify(tm,false,'  ')} }`);
   return { nonce, nonceurl, mask: { 'trellis-mask': tm } };
 }
 
+// What a link mask commits to about the linked resource: its JSON without the OADA keys, or for anything that
+// isn't JSON (i.e. a PDF under _meta/vdoc) its content-type and a hash of its bytes.
+// content should be a Buffer for anything binary (connections made by this library make sure of that, see
+// resilientConnection).  A string is hashed as utf8, which is only the real bytes for text.
+function linkContent({content, contentType, alg}) {
+  contentType = contentType ? contentType.split(';')[0].trim() : false;
+  if ((!contentType || /json/.test(contentType)) && _.isPlainObject(content)) {
+    return _.omit(content, [ '_id', '_rev', '_meta' ]);
+  }
+  let bytes = null;
+  if (Buffer.isBuffer(content)) bytes = content;
+  else if (content instanceof ArrayBuffer) bytes = Buffer.from(content);
+  else if (ArrayBuffer.isView(content)) bytes = Buffer.from(content.buffer, content.byteOffset, content.byteLength);
+  else bytes = Buffer.from(typeof content === 'string' ? content : JSON.stringify(content));
+  return {
+    'content-type': contentType || 'application/octet-stream',
+    bodyhash: { alg, hash: crypto.createHash(HASH_ALGORITHMS[alg]).update(bytes).digest('hex') },
+  };
+}
+// The link that a link mask replaced: the _id is the end of its url, and anything else (_rev) is in mask.link
+function linkFromMask(mask) {
+  return _.assign({ _id: pathFromURL(mask.url).replace(/^\//, '') }, mask.link);
+}
+
+// Masks a link to an entire resource ({ _id } or { _id, _rev }) instead of a value inside one.  The mask commits
+// to both the link and the linked resource's content (see linkContent), so verifyRemote has to fetch and hash the
+// whole linked resource to check it.  It looks like any other mask, plus link: { _rev } if the link had one.
+// link: the link to mask
+// url: where the linked resource lives, i.e. https://some.domain/resources/123
+// content, contentType: what you get back from a GET on url
+// nonce, nonceurl, alg, created, expires, purpose: same as mask.  nonceurl is usually the linked resource's _meta/nonce.
+function maskLink({link, url, content, contentType, nonce, nonceurl, alg, created, expires, purpose}) {
+  if (!isLink(link)) {
+    error('#maskLink: link is not a link');
+    throw new Error('#maskLink: link must look like { _id } or { _id, _rev }');
+  }
+  const hashalg = normalizeHashAlg(alg || 'SHA256');
+  if (!hashalg) {
+    error(`#maskLink: unsupported hash algorithm ${alg}`);
+    throw new Error(`unsupported hash algorithm (${alg}): use one of ${_.keys(HASH_ALGORITHMS).join(', ')}`);
+  }
+  const original = { link, content: linkContent({content, contentType, alg: hashalg}) };
+  const result = mask({original, url, nonce, nonceurl, alg: hashalg, created, expires, purpose});
+  result.mask['trellis-mask'].link = _.omit(link, [ '_id' ]);
+  return result;
+}
+
 
-// valid: true|false => whether the mask, original, and nonce have valid forms.  Says nothing about whether they match
-// match: true|false => if valid, tells whether the original actually matches the mask
+// The structured version of details for a single mask, so UIs don't have to parse the strings:
+// { path, url, nonceurl, alg, valid, match, expired, fetchError, error } where fetchError is false or { url, status, code }
+// from the first request for the original or nonce that failed, and error is false if it matched or else
+// the fetchError code, expired, invalid-mask, or mismatch.  path is only there if you pass one.
+// If the mask has any of created, expires, or purpose, they are in the report too.
+function maskReport({mask, path, valid, match, expired, fetchError}) {
+  const m = (mask && mask['trellis-mask']) || mask || {};
+  return _.assign(path ? { path } : {}, {
+    url: m.url || false,
+    nonceurl: m.nonceurl || false,
+    alg: (m.hashinfo && m.hashinfo.alg) || false,
+    valid: !!valid,
+    match: !!match,
+    expired: !!expired,
+    fetchError: fetchError || false,
+    error: (valid && match) ? false : (fetchError ? fetchError.code : (expired ? 'expired' : (!valid ? 'invalid-mask' : 'mismatch'))),
+  }, _.pick(m, [ 'created', 'expires', 'purpose' ]));
+}
+// status is the HTTP status if the server answered, code is i.e. ECONNREFUSED if it didn't
+function fetchErrorFor(url, e) {
+  const err = remoteError(e, url);
+  return (err instanceof MaskLinkError) ? { url, status: err.status, code: err.code } : { url, status: false, code: 'remote' };
+}
+
+// valid: true|false => whether the mask, original, and nonce have valid forms.  Says nothing about whether they match.
+//                      It is also false for a mask that has expired, so nobody honors one by mistake.
+// match: true|false => if the forms are valid, tells whether the original actually matches the mask (even if it expired)
+// expired: true|false => whether the mask's expires is at or before now.  report.error is 'expired' instead of 'mismatch' or 'invalid-mask'.
 // details: array of strings to help you debug what happened internally
+// report: { url, nonceurl, alg, valid, match, expired, fetchError } (see maskReport)
 // mask: the masked object
-// original: the original thing that was masked
+// original: the original thing that was masked.  For a link mask, the link (defaults to the one from the mask).
 // nonce: the nonce used in the hash originally when the mask was created
-function verify({mask, original, nonce}) {
+// content, contentType: only for a link mask, the linked resource's content (see maskLink)
+// now: optional time to check expires against (a Date, ms since the epoch, or a date string), defaults to now
+function verify({mask, original, nonce, content, contentType, now}) {
   // Allow someone to send either the object containing trellis-mask, or the trellis-mask itself.
   if (mask && mask['trellis-mask']) {
     mask = mask['trellis-mask'];
   }
+  const alg = mask && mask.hashinfo && normalizeHashAlg(mask.hashinfo.alg);
+  if (mask && mask.link && alg && content !== undefined) {
+    original = { link: original || linkFromMask(mask), content: linkContent({content, contentType, alg}) };
+  }
+  const result = checkMaskHash({mask, original, nonce, now});
+  result.report = maskReport({mask, valid: result.valid, match: result.match, expired: result.expired});
+  return result;
+}
+function checkMaskHash({mask, original, nonce, now}) {
   if (!mask) {
     trace(`#verify: Mask is null`);
-    return { valid: false, match: false, details: [ `Mask is null` ] };
+    return { valid: false, match: false, expired: false, details: [ `Mask is null` ] };
   }
   if (mask.version !== '1.0') {
     trace(`#verify: version (${mask.version}) is unknown`);
-    return { valid: false, match: false, details: [ `version (${mask.version}) is unknown`] };
+    return { valid: false, match: false, expired: false, details: [ `version (${mask.version}) is unknown`] };
   }
   if (!mask.hashinfo) {
     trace(`#verify: mask has no hashinfo`);
-    return { valid: false, match: false, details: [ `Mask has no hashinfo` ] };
+    return { valid: false, match: false, expired: false, details: [ `Mask has no hashinfo` ] };
+  }
+  const alg = normalizeHashAlg(mask.hashinfo.alg);
+  if (!alg) {
+    trace(`#verify: hash algorithm (${mask.hashinfo.alg}) is unknown or not allowed`);
+    return { valid: false, match: false, expired: false, details: [ `Hash algorithm (${mask.hashinfo.alg}) is unknown or not allowed` ] };
+  }
+  const bad = _.find([ 'created', 'expires' ], k => mask[k] !== undefined && isNaN(Date.parse(mask[k])));
+  if (bad) {
+    trace(`#verify: mask ${bad} (${mask[bad]}) is not a date`);
+    return { valid: false, match: false, expired: false, details: [ `Mask ${bad} (${mask[bad]}) is not a date` ] };
   }
   if (!original) {
     trace(`#verify: no original passed`);
-    return { valid: false, match: false, details: [ `Original is null` ] };
+    return { valid: false, match: false, expired: false, details: [ `Original is null` ] };
   }
   if (!nonce) {
     trace(`#verify: no nonce passed`);
-    return { valid: false, match: false, details: [ `Nonce is null` ] };
+    return { valid: false, match: false, expired: false, details: [ `Nonce is null` ] };
   }
-  const valid = true;
   const details = [];
 
-  const ohash = tsig.hashJSON({original,nonce});
+  const ohash = hashJSON({original,nonce}, alg);
   details.push(`Comparing nonce-d original hash to (${JSON.stringify(ohash)}) to mask hash (${JSON.stringify(mask.hashinfo)})`);
   trace('#verify: '+details[details.length-1]); // print that message
-  const match = _.isEqual(mask.hashinfo, ohash);
+  const match = mask.hashinfo.hash === ohash.hash;
 
-  return {valid,match,details};
+  // An expired mask still says whether it matches, it just shouldn't be honored anymore
+  const at = (now === undefined || now === null) ? Date.now() : new Date(now).getTime();
+  const expired = mask.expires !== undefined && at >= Date.parse(mask.expires);
+  if (expired) {
+    details.push(`Mask expired at ${mask.expires}`);
+    trace('#verify: '+details[details.length-1]);
+  }
+
+  return { valid: !expired, match, expired, details };
 }
 
 // verifyRemote: verify a single mask object, fetching the remote original to verify
 //   mask: the masked object.  Required.
 //  token: string token.  Optional if you pass connection.
 //  connection: OADA cache connection.  Optional if you pass token
+//  connections: optional map of domain => token or connection, or a function (domain) => token or connection.
+//               Used when the url or nonceurl live at a different cloud than your token or connection.
+//  now: optional time to check the mask's expires against, same as verify()
 //
 // Returns: 
 //   - valid: true|false same as verify()
 //   - match: true|false same as verify()
+//   - expired: true|false same as verify()
 //   - original: the fetched original
 //   - details: helpful array of debugging strings
-// NOTE: you must pass either token or a connection.  The assumption is that the nonce and URL are at the same cloud.
-async function verifyRemote({mask, token, connection}) {
+//   - report: { url, nonceurl, alg, valid, match, expired, fetchError } (see maskReport)
+// NOTE: you must pass either token or a connection, or have the url and nonceurl domains in connections.
+async function verifyRemote({mask, token, connection, connections, now}) {
   if (mask && mask['trellis-mask']) {
     mask = mask['trellis-mask'];
   }
   if (!mask.url) {
     trace('#verifyRemote: mask has no url');
-    return { valid: false, match: false, original: false, nonce: false, details: [ 'The mask has no url' ] };
+    return { valid: false, match: false, expired: false, original: false, nonce: false, details: [ 'The mask has no url' ], report: maskReport({mask}) };
   }
-  const domain = domainFromURL(mask.url);
-  connection = await connectionOrToken({token: (token ? token : false), connection: (connection ? connection : false), domain});
+  const resolve = connectionResolver({token, connection, connections});
+  const originalConnection = await resolve(domainFromURL(mask.url));
+  const nonceConnection = await resolve(domainFromURL(mask.nonceurl));
 
-  details = [];
+  const details = [];
+  let fetchError = false;
+  const failed = (url, e) => { fetchError = fetchError || fetchErrorFor(url, e); return null; };
   trace('#verifyRemote: Requesting original and nonce from remote');
+  // For a link mask, the "original" is the whole linked resource, and we need its content-type too
   const { original, nonce } = await Promise.props({
-    original: connection.get({ path: pathFromURL(mask.url) }).then(r => r.data)
-              .catch(e => { details.push(`Failed to retrieve original.  Error was: ${JSON.stringify(e)}`); return null; }),
-       nonce: connection.get({ path: pathFromURL(mask.nonceurl) }).then(r => r.data)
-              .catch(e => { details.push(`Failed to retrieve nonce.  Error was: ${JSON.stringify(e)}`);    return null; }),
+    original: originalConnection.get({ path: pathFromURL(mask.url) })
+              .then(r => mask.link ? { content: r.data, contentType: r.headers && r.headers['content-type'] } : r.data)
+              .catch(e => { details.push(`Failed to retrieve original.  Error was: ${remoteError(e, mask.url).message}`); return failed(mask.url, e); }),
+       nonce: nonceConnection.get({ path: pathFromURL(mask.nonceurl) }).then(r => r.data)
+              .catch(e => { details.push(`Failed to retrieve nonce.  Error was: ${remoteError(e, mask.nonceurl).message}`); return failed(mask.nonceurl, e); }),
   })
   if (!original || !nonce) {
     warn(`#verifyRemote: failed original (${original}) or nonce (${nonce}). Details = `,details);
-    return { valid: false, match: false, original: false, nonce: false, details };
+    return { valid: false, match: false, expired: false, original: false, nonce: false, details, report: maskReport({mask, fetchError}) };
   }
 
   trace('#verifyRemote: retrieved original (',original,') and nonce, sending to verify');
-  const result = verify({mask, original, nonce}); // returns { valid, match, details }
-  return { 
+  const result = mask.link
+    ? verify({mask, original: linkFromMask(mask), nonce, content: original.content, contentType: original.contentType, now})
+    : verify({mask, original, nonce, now}); // returns { valid, match, expired, details }
+  return {
     valid: result.valid, 
     match: result.match, 
-    original,
+    expired: result.expired,
+    original: mask.link ? linkFromMask(mask) : original,
     nonce,
-    details: details.concat(result.details) 
+    details: details.concat(result.details),
+    report: result.report,
+  };
+}
+
+// Disclosures: a signed, self-contained token that reveals the original and nonce for exactly one mask,
+// so you can share a single masked value with someone without giving them access to the original resource.
+// Looks like { 'trellis-disclosure': { version: '1.0', mask: <the trellis-mask>, original, nonce }, signatures: [ ... ] }
+// with one 'disclosure' signature.
+// mask: the masked object (or just its trellis-mask)
+// original, nonce: what was masked and the nonce it was masked with.  Throws if they don't match the mask.
+// privateJWK or keySigner, signer, header: same as signResource
+async function createDisclosure({mask, original, nonce, privateJWK, keySigner, signer, header}) {
+  if (mask && mask['trellis-mask']) {
+    mask = mask['trellis-mask'];
+  }
+  const { valid, match, details } = checkMaskHash({mask, original, nonce});
+  if (!valid) {
+    error('#createDisclosure: mask, original or nonce is not valid.  Details = ', details);
+    throw new InvalidMaskError(`#createDisclosure: cannot disclose an invalid mask: ${details.join(', ')}`, { url: (mask && mask.url) || false });
+  }
+  if (!match) {
+    error('#createDisclosure: original and nonce do not match the mask');
+    throw new MismatchError(`#createDisclosure: original and nonce do not match the mask for ${mask.url}`, { url: mask.url || false });
+  }
+  const disclosure = { 'trellis-disclosure': { version: '1.0', mask, original, nonce } };
+  return await signWithType({resource: disclosure, privateJWK, keySigner, header, signer, type: 'disclosure', payload: {}});
+}
+
+// Checks a disclosure from createDisclosure against mask without fetching anything (except the trusted list).
+// trust: same as verifyRemoteResource
+// Returns { trusted, valid, match, unchanged, original, nonce, signature, details, report }
+//   valid: the disclosure is signed with a valid 'disclosure' signature, hasn't changed since, and is for exactly this mask
+//   match: the disclosed original and nonce match the mask's hash
+//   signature: { type, signer, kid, trusted, trustedBy, unchanged, valid, error } for the disclosure signature, or false
+//   report: same as verify
+async function verifyDisclosure({mask, disclosure, trust}) {
+  if (mask && mask['trellis-mask']) {
+    mask = mask['trellis-mask'];
+  }
+  const d = disclosure && disclosure['trellis-disclosure'];
+  if (!d || d.version !== '1.0' || !disclosure.signatures || disclosure.signatures.length < 1) {
+    trace('#verifyDisclosure: disclosure is missing, unsigned, or has an unknown version');
+    return { trusted: false, valid: false, match: false, expired: false, unchanged: false, original: false, nonce: false, signature: false,
+             details: [ 'Disclosure is missing, unsigned, or has an unknown version' ], report: maskReport({mask}) };
+  }
+
+  const sigResult = await verifySignature(disclosure, await resolveTrust(trust));
+  const signature = sigResult.payload ? _.omit(signatureLayer(sigResult), [ 'maskPaths' ]) : false;
+  const details = sigResult.details.slice();
+  const isDisclosure = !!sigResult.payload && sigResult.payload.type === 'disclosure';
+  if (!isDisclosure) details.push('Signature is not a disclosure signature');
+  if (!sigResult.unchanged) details.push('Disclosure was changed after it was signed');
+  const sameMask = _.isEqual(d.mask, mask);
+  if (!sameMask) details.push('Disclosure is for a different mask');
+
+  const result = checkMaskHash({mask, original: d.original, nonce: d.nonce});
+  const valid = sigResult.valid && isDisclosure && sigResult.unchanged && sameMask && result.valid;
+  const match = valid && result.match;
+  return {
+    trusted: sigResult.trusted && valid,
+    valid,
+    match,
+    expired: result.expired,
+    unchanged: sigResult.unchanged,
+    original: d.original,
+    nonce: d.nonce,
+    signature,
+    details: details.concat(result.details),
+    report: maskReport({mask, valid, match, expired: result.expired}),
   };
 }
 
@@ -217,54 +761,443 @@ async function verifyRemote({mask, token, connection}) {
 //----------------------------------------------------------------------------------
 //------------------------------------------------------------------------------
 
-// Given a resource and a private key, this will use trellisfw-signatures 
-// to add a new signature to the document of type `mask`.  This does not
+// Key signers: everything that signs a resource takes either privateJWK or keySigner.  A keySigner
+// keeps the private key wherever it wants (a separate signing process, a local key agent, a PKCS#11 module, etc.)
+// and only hands back signatures, so the private key never has to be in this process:
+// {
+//   publicJWK: public key, goes in the header of every signature so it can be verified
+//   kid: optional, key id for the header.  Defaults to publicJWK.kid
+//   jku: optional, URL of the key set that has publicJWK, for the header
+//   alg: optional, JWS algorithm the signatures are made with.  Defaults to publicJWK.alg, or else RS256 for
+//        an RSA key and ES256/ES384/ES512 for an EC key on P-256/P-384/P-521
+//   sign: async (bytes) => signature of bytes (a Buffer) made with alg
+// }
+// Passing privateJWK is the same as passing jwkKeySigner(privateJWK), except tsig does the signing itself.
+const TSIG_VERSION = require('@trellisfw/signatures/package.json').version;
+const PRIVATE_JWK_MEMBERS = [ 'd', 'p', 'q', 'dp', 'dq', 'qi', 'oth', 'k' ];
+// JWS algorithms we can sign with, by the kty of the key they need
+const JWS_ALGORITHMS = {
+  RSA: [ 'RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512' ],
+   EC: [ 'ES256', 'ES384', 'ES512' ],
+};
+const EC_CURVE_ALGORITHMS = { 'P-256': 'ES256', 'P-384': 'ES384', 'P-521': 'ES512' };
+
+// The JWS algorithm to sign with jwk: alg if you pass one, then jwk.alg, then the usual one for its kty (and curve).
+// Throws for a key type we can't sign with, or an alg that doesn't go with the key.
+function jwsAlgorithmFor(jwk, alg) {
+  const kty = jwk && jwk.kty;
+  if (!JWS_ALGORITHMS[kty]) {
+    throw new Error(`#jwsAlgorithmFor: cannot sign with a key of type ${kty}, only RSA and EC keys are supported`);
+  }
+  alg = alg || jwk.alg || (kty === 'EC' ? EC_CURVE_ALGORITHMS[jwk.crv] : 'RS256');
+  if (!_.includes(JWS_ALGORITHMS[kty], alg)) {
+    throw new Error(`#jwsAlgorithmFor: cannot sign with alg ${alg} using a ${kty} key${kty === 'EC' ? ` on curve ${jwk.crv}` : ''}`);
+  }
+  return alg;
+}
+
+// Key signer that holds privateJWK in memory
+function jwkKeySigner(privateJWK) {
+  if (!privateJWK || !privateJWK.kty) {
+    throw new Error('#jwkKeySigner: you must pass a private JWK to sign with');
+  }
+  const alg = jwsAlgorithmFor(privateJWK);
+  let key = null;
+  return {
+    publicJWK: _.omit(privateJWK, PRIVATE_JWK_MEMBERS),
+    kid: privateJWK.kid,
+    jku: privateJWK.jku,
+    alg,
+    sign: async (bytes) => {
+      key = key || await tsig.jose.JWK.asKey(privateJWK);
+      return (await key.sign(alg, bytes)).mac;
+    },
+  };
+}
+
+// The default key signer: reads a private JWK from filename, i.e. the same file you'd pass to the CLI with --jwk
+function fileKeySigner(filename) {
+  if (!filename) throw new Error('#fileKeySigner: you must pass the name of a file with a private JWK in it');
+  return jwkKeySigner(JSON.parse(fs.readFileSync(filename, 'utf8')));
+}
+
+function keySignerFor({privateJWK, keySigner}) {
+  if (keySigner) {
+    if (!keySigner.publicJWK || typeof keySigner.sign !== 'function') {
+      throw new Error('#keySignerFor: keySigner must have a publicJWK and a sign(bytes) function');
+    }
+    return _.assign({}, keySigner, { alg: jwsAlgorithmFor(keySigner.publicJWK, keySigner.alg) });
+  }
+  return jwkKeySigner(privateJWK);
+}
+
+// Given a resource and a private key or key signer, this will add a new signature to the 
+// document of type `mask`, the same as trellisfw-signatures would.  This does not
 // mutate the resource, but rather returns the new resource with the signature.
 // If you do not pass header, it will create the appropriate jwk, kid, jku for you
-// from the privateJWK.  You should pass a signer as { name: 'Name of signer', url: 'https://their.domain' }
+// from the key.  You should pass a signer as { name: 'Name of signer', url: 'https://their.domain' }
 // resource: JSON object to sign
-// privateJWK: a jwk to sign with
+// privateJWK: a jwk to sign with, or
+// keySigner: something that signs without handing over the private key (see jwkKeySigner above)
 // signer: { name, url } => passed to trellisfw-signatures
 // header: any additional headers to pass to trellisfw-signatures
 // paths: array of json pointers of which paths in the main resource were masked in this round
-//        [ 'a/b', 'b/d/e', 'c' ], etc.
+//        [ 'a/b', 'b/d/e', 'c' ], etc.  Wildcards and JSONPath are expanded against resource (see expandPaths)
+//        so that the signature always has the actual paths.
 // NOTE: this does not mutate resource, but returns new signed version
-async function signResource({resource, privateJWK, header, signer, paths }) {
-  signer = signer || { name: 'No signer name available', url: 'https://github.com/trellisfw' },
-  header = header || {};
-  if (!header.jwk) {
-    trace('#signResource: did not pass header.jwk, extracting from private key');
-    header.jwk = tsig.keys.pubFromPriv(privateJWK);
-  }
-  if (!header.kid) {
-    trace('#signResource: did not pass header.kid, extracting from private key');
-    header.kid = privateJWK.kid;
-  }
-  if (!header.jku) {
-    trace('#signResource: did not pass header.jku, extracting from private key');
-    header.jku = privateJWK.jku;
-  }
+async function signResource({resource, privateJWK, keySigner, header, signer, paths }) {
   const payload = {};
   if (paths) {
+    paths = expandPaths(resource, paths);
     trace('#signResource: adding paths to signature: ', paths);
     payload['mask-paths'] = paths;
   }
-  resource = await tsig.sign(resource, privateJWK, { signer, type: 'mask', payload });
-  trace('#signResource: signed resource, signature is: ', resource.signatures[resource.signatures.length-1]);
+  return await signWithType({resource, privateJWK, keySigner, header, signer, type: 'mask', payload});
+}
+
+// Does the actual signing for signResource, and is also used for other signature types like 'reveal'.
+// With privateJWK, tsig.sign does it.  A key signer never hands over the private key, which tsig can't sign
+// without, so for one this builds the same JWT that tsig.sign does and gets the signature itself from the key signer.
+// A key signer's signature is checked with its publicJWK before it is used, and throws a SignatureInvalidError if it
+// doesn't verify (i.e. it signed with a different key than the one it says).
+async function signWithType({resource, privateJWK, keySigner, header, signer, type, payload}) {
+  signer = signer || { name: 'No signer name available', url: 'https://github.com/trellisfw' };
+  const withPrivateJWK = !keySigner;
+  keySigner = keySignerFor({privateJWK, keySigner}); // throws for a key we can't sign with
+  if (withPrivateJWK) {
+    header = _.assign({}, header, { alg: keySigner.alg });
+    if (!header.jku && keySigner.jku) header.jku = keySigner.jku;
+    trace(`#signWithType: signing with privateJWK through tsig, alg ${keySigner.alg}`);
+    return await tsig.sign(resource, privateJWK, { header, signer, type, payload: _.assign({}, payload) });
+  }
+  header = _.assign({ typ: 'JWT' }, header, { alg: keySigner.alg });
+  if (!header.jwk) {
+    trace('#signWithType: did not pass header.jwk, using the key signer\'s public key');
+    header.jwk = keySigner.publicJWK;
+  }
+  if (!header.kid && (keySigner.kid || keySigner.publicJWK.kid)) {
+    trace('#signWithType: did not pass header.kid, using the key signer\'s kid');
+    header.kid = keySigner.kid || keySigner.publicJWK.kid;
+  }
+  if (!header.jku && keySigner.jku) {
+    trace('#signWithType: did not pass header.jku, using the key signer\'s jku');
+    header.jku = keySigner.jku;
+  }
+  payload = _.assign({}, payload, {
+    version: TSIG_VERSION,
+    iat: Math.floor(Date.now() / 1000),
+    hashinfo: tsig.hashJSON(resource),
+    signer,
+    type,
+  });
+
+  const encode = buf => tsig.jose.util.base64url.encode(buf);
+  const signingInput = `${encode(Buffer.from(JSON.stringify(header)))}.${encode(Buffer.from(JSON.stringify(payload)))}`;
+  const signature = await keySigner.sign(Buffer.from(signingInput));
+  if (!signature || signature.length < 1) {
+    throw new Error(`#signWithType: key signer did not return a signature for the ${type} signature`);
+  }
+  const jws = `${signingInput}.${encode(Buffer.from(signature))}`;
+  const verifies = await Promise.try(async () => tsig.jose.JWS.createVerify(await tsig.jose.JWK.asKey(keySigner.publicJWK)).verify(jws))
+    .then(r => !!r).catch(() => false);
+  if (!verifies) {
+    throw new SignatureInvalidError(`#signWithType: key signer's ${type} signature does not verify with its publicJWK (kid ${header.kid})`);
+  }
+  resource = _.cloneDeep(resource);
+  resource.signatures = (resource.signatures || []).concat([ jws ]);
+  trace(`#signWithType: signed resource with ${type} signature, signature is: `, _.last(resource.signatures));
   return resource;
 }
 
 
+// Mask policies: content type => { paths, signer } so callers don't have to hard-code the paths
+// for every type of document.  maskRemoteResourceAsNewResource uses these when you don't pass paths.
+let maskPolicies = {};
+
+// Adds or replaces the policy for a content type.
+// contentType: i.e. application/vnd.trellisfw.audit.sqfi.1+json
+// paths: array of paths to mask in that type of document.  Can have wildcards or JSONPath (see expandPaths).
+// signer: optional default { name, url } to use when signing that type of document
+function registerMaskPolicy(contentType, {paths, signer}) {
+  if (!contentType || typeof contentType !== 'string') {
+    throw new Error('#registerMaskPolicy: you must pass a content type');
+  }
+  if (!_.isArray(paths) || paths.length < 1) {
+    throw new Error(`#registerMaskPolicy: policy for ${contentType} must have at least one path`);
+  }
+  trace(`#registerMaskPolicy: registering paths for ${contentType}: `, paths);
+  maskPolicies[contentType] = signer ? { paths, signer } : { paths };
+}
+
+// Registers every policy in a JSON file (or an object you already loaded) that looks like:
+// { "application/vnd.trellisfw.audit.sqfi.1+json": { "paths": [ "/organization/location" ], "signer": { "name": ..., "url": ... } } }
+// If any policy in it is bad, it puts the old policies back so a bad file doesn't leave you with half of them.
+function loadMaskPolicies(fileOrObject) {
+  const policies = typeof fileOrObject === 'string'
+    ? JSON.parse(fs.readFileSync(fileOrObject, 'utf8'))
+    : fileOrObject;
+  if (!policies || typeof policies !== 'object') {
+    throw new Error('#loadMaskPolicies: policies must be an object of content type => { paths, signer }');
+  }
+  const old = _.clone(maskPolicies);
+  try {
+    _.each(policies, (policy, contentType) => registerMaskPolicy(contentType, policy || {}));
+  } catch(e) {
+    maskPolicies = old;
+    throw e;
+  }
+}
+
+// Returns the policy for a content type, or false if there isn't one
+function getMaskPolicy(contentType) {
+  return maskPolicies[contentType] || false;
+}
+
+function clearMaskPolicies() {
+  maskPolicies = {};
+}
+
+// Schemas: content type => JSON Schema, so a masked document can be checked against the schema for
+// its type with a mask standing in anywhere the schema expects a value.
+let schemas = {};
+
+function registerSchema(contentType, schema) {
+  if (!contentType || typeof contentType !== 'string') {
+    throw new Error('#registerSchema: you must pass a content type');
+  }
+  if (!_.isPlainObject(schema) && typeof schema !== 'boolean') {
+    throw new Error(`#registerSchema: schema for ${contentType} must be a JSON Schema object`);
+  }
+  trace(`#registerSchema: registering schema for ${contentType}`);
+  schemas[contentType] = schema;
+}
+
+// Returns the schema for a content type, or false if there isn't one
+function getSchema(contentType) {
+  return _.has(schemas, contentType) ? schemas[contentType] : false;
+}
+
+function clearSchemas() {
+  schemas = {};
+}
+
+// Follows local $ref's (#/definitions/..., #/$defs/...) against the root schema.  Anything else
+// can't be resolved without fetching, so it throws rather than letting anything through there.
+function resolveSchemaRef(schema, root) {
+  const seen = [];
+  while (_.isPlainObject(schema) && typeof schema.$ref === 'string') {
+    if (_.includes(seen, schema.$ref)) throw new Error(`#validateMaskedResource: circular $ref ${schema.$ref}`);
+    seen.push(schema.$ref);
+    const ref = schema.$ref;
+    if (ref === '#') { schema = root; continue; }
+    if (ref.indexOf('#/') !== 0 || !jsonpointer.has(root, ref.slice(1))) {
+      throw new Error(`#validateMaskedResource: cannot resolve $ref ${ref}, only $ref's to somewhere in the same schema are supported`);
+    }
+    schema = jsonpointer.get(root, ref.slice(1));
+  }
+  return schema;
+}
+
+function schemaTypeOf(v) {
+  if (v === null) return 'null';
+  if (_.isArray(v)) return 'array';
+  if (_.isInteger(v)) return 'integer';
+  return typeof v;
+}
+
+function matchesSchemaType(v, type) {
+  const actual = schemaTypeOf(v);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+// The required paths that a mask at curpath hides from a validator: everything the schema for that
+// node requires, all the way down.  Combinators other than allOf can't say what is required, so they are skipped.
+function requiredUnderSchema(schema, root, curpath) {
+  schema = resolveSchemaRef(schema, root);
+  if (!_.isPlainObject(schema)) return [];
+  const parts = jsonpointer.parse(curpath);
+  const required = _.uniq(_.flatMap([ schema ].concat(_.map(schema.allOf, s => resolveSchemaRef(s, root))), s => (_.isPlainObject(s) && s.required) || []));
+  return _.flatMap(required, key => {
+    const keypath = jsonpointer.compile(parts.concat(key));
+    const keyschema = _.find(_.map([ schema ].concat(schema.allOf || []), s => _.get(resolveSchemaRef(s, root), [ 'properties', key ])));
+    return [ keypath ].concat(keyschema === undefined ? [] : requiredUnderSchema(keyschema, root, keypath));
+  });
+}
+
+// Validates value against schema, pushing { path, message } onto errors, { path, mask } onto hidden, and the path
+// of every mask that stood in for something the schema checks onto masks.
+// A valid trellis-mask is accepted in place of any schema.  Covers the JSON Schema keywords that
+// Trellis document schemas use: type, enum, const, properties, required, additionalProperties,
+// patternProperties, items, min/maxItems, min/maxLength, pattern, minimum/maximum, allOf/anyOf/oneOf/not, and local $ref's.
+// Since a mask passes every schema, a oneOf branch or not that only matched because of a mask doesn't say anything:
+// oneOf only fails for more than one match if at most one of them needed a mask, and not only fails without one.
+function validateAgainstSchema({value, schema, root, curpath, errors, hidden, masks}) {
+  schema = resolveSchemaRef(schema, root);
+  if (schema === true || _.isEmpty(schema)) return;
+  if (schema === false) return errors.push({ path: curpath, message: 'schema does not allow any value here' });
+
+  if (isMask(value)) {
+    trace(`#validateMaskedResource: accepting mask at ${curpath}`);
+    masks.push(curpath);
+    _.each(requiredUnderSchema(schema, root, curpath), path => hidden.push({ path, mask: curpath }));
+    return;
+  }
+  if (value && typeof value === 'object' && value['trellis-mask']) {
+    errors.push({ path: curpath, message: 'trellis-mask is not a valid mask' });
+    return;
+  }
+
+  const err = message => errors.push({ path: curpath, message });
+  const types = _.isArray(schema.type) ? schema.type : (schema.type ? [ schema.type ] : false);
+  if (types && !_.some(types, t => matchesSchemaType(value, t))) {
+    return err(`should be ${types.join(' or ')}, but is ${schemaTypeOf(value)}`);
+  }
+  if (schema.enum && !_.some(schema.enum, e => _.isEqual(e, value))) err('should be one of the enum values');
+  if (_.has(schema, 'const') && !_.isEqual(schema.const, value)) err('should be equal to the const value');
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) err(`should be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) err(`should be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !(new RegExp(schema.pattern, 'u')).test(value)) err(`should match pattern ${schema.pattern}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) err(`should be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) err(`should be <= ${schema.maximum}`);
+  }
+
+  const parts = jsonpointer.parse(curpath);
+  const child = (v, s, key) => validateAgainstSchema({value: v, schema: s, root, curpath: jsonpointer.compile(parts.concat(key)), errors, hidden, masks});
+
+  if (_.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) err(`should have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) err(`should have at most ${schema.maxItems} items`);
+    if (_.isArray(schema.items)) {
+      _.each(value, (v, i) => {
+        const s = i < schema.items.length ? schema.items[i] : schema.additionalItems;
+        if (s !== undefined) child(v, s, `${i}`);
+      });
+    } else if (schema.items !== undefined) {
+      _.each(value, (v, i) => child(v, schema.items, `${i}`));
+    }
+  } else if (_.isPlainObject(value)) {
+    _.each(schema.required, key => {
+      if (!_.has(value, key)) err(`should have required property ${key}`);
+      else if (isMask(value[key])) {
+        const keypath = jsonpointer.compile(parts.concat(key));
+        hidden.push({ path: keypath, mask: keypath }); // it's there, you just can't see it
+      }
+    });
+    _.each(value, (v, key) => {
+      let matched = false;
+      if (schema.properties && _.has(schema.properties, key)) {
+        matched = true;
+        child(v, schema.properties[key], key);
+      }
+      _.each(schema.patternProperties, (s, pattern) => {
+        if (!(new RegExp(pattern, 'u')).test(key)) return;
+        matched = true;
+        child(v, s, key);
+      });
+      if (!matched && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) err(`should not have additional property ${key}`);
+        else child(v, schema.additionalProperties, key);
+      }
+    });
+  }
+
+  // Combinators get their own lists so a failed branch of anyOf/oneOf doesn't leak into the result
+  const tryschema = s => {
+    const result = { errors: [], hidden: [], masks: [] };
+    validateAgainstSchema({value, schema: s, root, curpath, errors: result.errors, hidden: result.hidden, masks: result.masks});
+    return result;
+  };
+  const keep = r => {
+    hidden.push(...r.hidden);
+    masks.push(...r.masks);
+  };
+  _.each(schema.allOf, s => {
+    const r = tryschema(s);
+    errors.push(...r.errors);
+    keep(r);
+  });
+  if (schema.anyOf) {
+    const results = _.map(schema.anyOf, tryschema);
+    const passed = _.find(results, r => r.errors.length < 1);
+    if (passed) keep(passed);
+    else err('should match at least one schema in anyOf');
+  }
+  if (schema.oneOf) {
+    const passed = _.filter(_.map(schema.oneOf, tryschema), r => r.errors.length < 1);
+    const unmasked = _.filter(passed, r => r.masks.length < 1);
+    if (passed.length === 1) keep(passed[0]);
+    else if (passed.length > 1 && unmasked.length < 2) {
+      // Can't tell which branch the masked values really match, so only what every branch says is hidden for sure
+      trace(`#validateMaskedResource: ${passed.length} oneOf branches match at ${curpath} with masks, accepting it`);
+      hidden.push(..._.intersectionBy(..._.map(passed, 'hidden'), 'path'));
+      masks.push(..._.uniq(_.flatMap(passed, 'masks')));
+    }
+    else err(`should match exactly one schema in oneOf, but matches ${passed.length}`);
+  }
+  if (schema.not !== undefined) {
+    const r = tryschema(schema.not);
+    if (r.errors.length < 1 && r.masks.length < 1) err('should not match the schema in not');
+  }
+}
+
+// Checks a masked resource against a JSON Schema, with any valid trellis-mask (per isMask) accepted
+// in place of whatever the schema expects at that node.  Pass either schema, or contentType to use
+// a registered schema (defaults to resource._type).
+// Returns { valid, errors: [ { path, message } ], hidden: [ { path, mask } ] } where hidden is every path the
+// schema requires that you can't see because it is behind the mask at mask.  Throws for a $ref it can't resolve.
+function validateMaskedResource({resource, schema, contentType}) {
+  if (schema === undefined) {
+    contentType = contentType || (resource && resource._type);
+    schema = getSchema(contentType);
+    if (schema === false) {
+      throw new Error(`#validateMaskedResource: no schema passed and no schema registered for content type ${contentType}`);
+    }
+  }
+  const errors = [];
+  const hidden = [];
+  validateAgainstSchema({value: resource, schema, root: schema, curpath: '', errors, hidden, masks: []});
+  trace(`#validateMaskedResource: found ${errors.length} errors and ${hidden.length} required paths hidden behind masks`);
+  return { valid: errors.length < 1, errors, hidden: _.uniqBy(hidden, 'path') };
+}
+
 // Given an entire resource with one or more paths to mask, create a single nonce and
 // mask all the json pointer paths with that nonce.  Note that this does not fetch 
 // the resource at the URL, it just uses that URL to construct the paths.
 // Assumes that you want to put the nonce at <urlToResource>/_meta/nonce
-function maskResource({resource, urlToResource, paths, nonce, nonceurl}) {
+// perPathNonce: if true, each path gets its own nonce instead, to be stored at <urlToResource>/_meta/nonces/<path>.
+//               That way revealing the nonce for one path does not reveal it for all the others.
+//               You can pass nonces as an object of path => nonce to use existing ones, otherwise they are created.
+//               Returns nonces as an object of path => { nonce, nonceurl } (nonce and nonceurl will be false)
+// alg, created, expires, purpose: same as mask(), for every mask.  created: true gives them all the same time.
+// paths can have wildcards or JSONPath, they are expanded against resource with expandPaths.
+function maskResource({resource, urlToResource, paths, nonce, nonceurl, perPathNonce, nonces, alg, created, expires, purpose}) {
   const r = _.cloneDeep(resource);
   if (!urlToResource) {
     warn('#maskResource: urlToResource is falsey, you need to pass one in order to figure out url\'s from paths');
     return { nonce: false, resource: false, nonceurl: false };
   }
+  paths = expandPaths(resource, paths);
+  const terms = maskTerms({created, expires, purpose});
+  if (perPathNonce) {
+    nonces = nonces || {};
+    const result = { nonce: false, nonceurl: false, nonces: {} };
+    _.each(paths, p => {
+      const objToMask = jsonpointer.get(resource, p);
+      trace(`#maskResource: tried to jsonpoint.get path ${p} from resource, it returned `,objToMask);
+      // mask makes up the nonce if we don't already have one for this path:
+      const m = mask(_.assign({original: objToMask, nonce: nonces[p], url: urlToResource+p, nonceurl: nonceURLForPath(urlToResource, p), alg }, terms));
+      trace(`#maskResource: setting path ${p} in resource to mask with its own nonce = `, m.mask);
+      jsonpointer.set(r, p, m.mask);
+      result.nonces[p] = { nonce: m.nonce, nonceurl: m.nonceurl };
+    });
+    result.resource = r;
+    return result;
+  }
   nonce = nonce || makeNonce();
   nonceurl = nonceurl || urlToResource+'/_meta/nonce';
   _.each(paths, p => {
@@ -272,7 +1205,7 @@ function maskResource({resource, urlToResource, paths, nonce, nonceurl}) {
     const objToMask = jsonpointer.get(resource, p);
     trace(`#maskResource: tried to jsonpoint.get path ${p} from resource, it returned `,objToMask);
     // construct the mask:
-    const result = mask({original: objToMask, nonce, url: urlToResource+p, nonceurl });
+    const result = mask(_.assign({original: objToMask, nonce, url: urlToResource+p, nonceurl, alg }, terms));
     // replace the thing in the original with the mask
     trace(`#maskResource: setting path ${p} in resource to mask = `, result.mask);
     jsonpointer.set(r, p, result.mask);
@@ -280,17 +1213,169 @@ function maskResource({resource, urlToResource, paths, nonce, nonceurl}) {
   return { nonce, resource: r, nonceurl };
 }
 
+// If there is already a nonce at nonceurl, return that.  Otherwise make a new one and save it there.
+async function getOrCreateRemoteNonce({connection, nonceurl, contentType}) {
+  let nonce = null;
+  await connection.get({ path: pathFromURL(nonceurl) })
+  .then(r => {
+    trace(`#getOrCreateRemoteNonce: already have a nonce at ${nonceurl}, re-using that`);
+    nonce = r.data;
+  }).catch(async (e) => {
+    // Only make a new nonce if there really isn't one: if we can't get to it, making a new one would
+    // break every mask that was already made with the old one.
+    if (!(remoteError(e, nonceurl) instanceof NotFoundError)) {
+      throw contextError(e, nonceurl, `Could not get nonce at ${nonceurl} to check if there is one already`);
+    }
+    trace('#getOrCreateRemoteNonce: no nonce found, making a new one and saving to '+pathFromURL(nonceurl));
+    nonce = makeNonce();
+    await connection.put({ path: pathFromURL(nonceurl), data: JSON.stringify(nonce), headers: { 'content-type': contentType } })
+          .catch(e => { throw contextError(e, nonceurl, 'Could not save new nonce back to original resource!') });
+  });
+  return nonce;
+}
+
+// The key in an original's _meta/masks for a masked copy with these paths: the sorted paths with 
+// each one escaped like a json pointer key, joined with commas.  i.e. [ '/b', '/a/c' ] => '~1a~1c,~1b'
+function maskKeyForPaths(paths) {
+  return _.map(_.sortBy(paths), p => p.replace(/~/g,'~0').replace(/\//g,'~1')).join(',');
+}
+
+// Links a new resource under bookmarksPath with its resource key, i.e. /bookmarks/a/b/<key> => { _id: 'resources/<key>', _rev: 0 }
+async function linkCopyInBookmarks({connection, newResourceid, bookmarksPath, contentType}) {
+  const key = newResourceid.replace(/^resources\//, '');
+  trace(`#linkCopyInBookmarks: linking ${newResourceid} at ${bookmarksPath}/${key}`);
+  return await connection.put({ path: bookmarksPath.replace(/\/$/,''), data: { [key]: { _id: newResourceid, _rev: 0 } }, headers: { 'content-type': contentType } })
+    .catch(e => { throw contextError(e, bookmarksPath, `Could not link masked copy ${newResourceid} under ${bookmarksPath}`) });
+}
+
+// Writes links both ways between an original and its new masked copy (and under bookmarksPath if there is one).
+// The original links each copy at _meta/masks/<maskKeyForPaths(paths)>/<resource key>, so any number of copies
+// with the same paths (i.e. one per buyer) can be found later.
+async function linkOriginalAndCopy({connection, url, original, newResourceid, paths, bookmarksPath}) {
+  const contentType = original._type;
+  const key = newResourceid.replace(/^resources\//, '');
+  await connection.put({ path: pathFromURL(url)+'/_meta', data: { masks: { [maskKeyForPaths(paths)]: { [key]: { _id: newResourceid } } } }, headers: { 'content-type': contentType } })
+    .catch(e => { throw contextError(e, url+'/_meta', `Could not link masked copy ${newResourceid} from original's _meta at ${url}`) });
+  await connection.put({ path: `/${newResourceid}/_meta`, data: { 'trellis-mask-original': { url, paths } }, headers: { 'content-type': contentType } })
+    .catch(e => { throw contextError(e, `/${newResourceid}/_meta`, `Could not link original ${url} from masked copy's _meta at ${newResourceid}`) });
+  if (bookmarksPath) await linkCopyInBookmarks({connection, newResourceid, bookmarksPath, contentType});
+}
+
+// Returns the masked copies that were linked from the original at url with link: true, as an object
+// of maskKeyForPaths(paths) => array of resource ids.  If you pass paths, returns just the array of ids of
+// the copies with exactly those paths masked (empty if there aren't any).
+async function findMaskedCopies({url, paths, token, connection}) {
+  connection = await connectionOrToken({token: (token ? token : false), connection: (connection ? connection : false), domain: domainFromURL(url)});
+  const masks = await connection.get({ path: pathFromURL(url)+'/_meta/masks' })
+    .then(r => r.data)
+    .catch(e => {
+      if (remoteError(e, url) instanceof NotFoundError) return {}; // never linked any copies
+      throw contextError(e, url+'/_meta/masks', `Could not get masked copies from original's _meta at ${url}`);
+    });
+  const copies = _.reduce(masks, (acc, links, key) => {
+    const ids = _.map(_.filter(_.omitBy(links, (l, k) => k[0] === '_'), isLink), '_id');
+    if (key[0] !== '_' && ids.length > 0) acc[key] = ids;
+    return acc;
+  }, {});
+  if (paths) return copies[maskKeyForPaths(paths)] || [];
+  return copies;
+}
+
+// Masks an original that has already been fetched from url, getting or creating its nonce(s) on the remote
+// along the way.  If paths is falsey, they come from the mask policy for the original's _type.
+// created, expires, purpose: same as mask(), for every mask
+// Returns { resource, paths } where paths has any wildcards expanded.
+async function maskFetchedOriginal({url, original, paths, connection, perPathNonce, alg, created, expires, purpose}) {
+  if (!paths) {
+    const policy = getMaskPolicy(original._type);
+    if (!policy) {
+      error(`#maskFetchedOriginal: no paths passed and no mask policy for content type ${original._type}`);
+      throw new Error(`#maskFetchedOriginal: no paths passed and no mask policy registered for content type ${original._type}`);
+    }
+    trace(`#maskFetchedOriginal: using mask policy for ${original._type}`);
+    paths = policy.paths;
+  }
+  paths = expandPaths(original, paths);
+  if (paths.length < 1) {
+    error('#maskFetchedOriginal: paths did not match anything in the original');
+    throw new Error(`#maskFetchedOriginal: paths did not match anything in the original at ${url}`);
+  }
+
+  // Normalized once so created: true is the same time in every mask
+  const terms = maskTerms({created, expires, purpose});
+
+  // Links to other resources get link masks, the rest are masked in place
+  const linkPaths = _.filter(paths, p => jsonpointer.has(original, p) && isLink(jsonpointer.get(original, p)));
+  const valuePaths = _.difference(paths, linkPaths);
+
+  // If we already have a nonce on the resource, use that instead of overwriting
+  let resource = original;
+  if (valuePaths.length > 0 && perPathNonce) {
+    const nonces = await Promise.reduce(valuePaths, async (acc, p) => {
+      acc[p] = await getOrCreateRemoteNonce({ connection, nonceurl: nonceURLForPath(url, p), contentType: original._type });
+      return acc;
+    }, {});
+    trace('#maskFetchedOriginal: masking Resource content locally with maskResource, one nonce per path');
+    resource = maskResource(_.assign({resource: original, urlToResource: url, paths: valuePaths, perPathNonce, nonces, alg}, terms)).resource;
+  } else if (valuePaths.length > 0) {
+    const nonceurl = url + '/_meta/nonce';
+    const nonce = await getOrCreateRemoteNonce({ connection, nonceurl, contentType: original._type });
+    trace('#maskFetchedOriginal: masking Resource content locally with maskResource');
+    resource = maskResource(_.assign({resource: original, urlToResource: url, paths: valuePaths, nonce, nonceurl, alg}, terms)).resource;
+  }
+  resource = await maskLinksInResource(_.assign({ resource, url, paths: linkPaths, connection, alg }, terms));
+  return { paths, resource };
+}
+
+// Replaces the links at paths in resource with link masks (see maskLink), fetching each linked resource to hash it.
+// Each one uses the nonce at its linked resource's _meta/nonce, made if it isn't there yet.
+async function maskLinksInResource({resource, url, paths, connection, alg, created, expires, purpose}) {
+  if (paths.length < 1) return resource;
+  resource = _.cloneDeep(resource);
+  await Promise.each(paths, async (p) => {
+    const link = jsonpointer.get(resource, p);
+    const linkurl = `${domainFromURL(url)}/${link._id}`;
+    trace(`#maskLinksInResource: fetching linked resource ${linkurl} for the link at ${p}`);
+    const { content, contentType } = await connection.get({ path: pathFromURL(linkurl) })
+      .then(r => ({ content: r.data, contentType: (r.headers && r.headers['content-type']) || false }))
+      .catch(e => { throw contextError(e, linkurl, `Could not get linked resource at ${linkurl} to mask the link at ${p}`) });
+    const nonceurl = linkurl + '/_meta/nonce';
+    // Binary resources still have a JSON _meta
+    const nonce = await getOrCreateRemoteNonce({ connection, nonceurl, 
+      contentType: (contentType && /json/.test(contentType)) ? contentType : 'application/json' });
+    jsonpointer.set(resource, p, maskLink({ link, url: linkurl, content, contentType, nonce, nonceurl, alg, created, expires, purpose }).mask);
+  });
+  return resource;
+}
+
 // This creates a new resource on the OADA cloud that is a masked version of the original.
 // It does not modify the original, except that it stores the nonce at the original's _meta/nonce
-async function maskRemoteResourceAsNewResource({ url, paths, token, connection, signatureCallback }) {
+// (or a nonce for each path at the original's _meta/nonces/<path> if you pass perPathNonce: true)
+// If you don't pass paths, they come from the mask policy registered for the original's _type,
+// and it throws if there isn't one.
+// Paths that point at a link to another resource (i.e. { _id: 'resources/123' }, or a PDF under _meta/vdoc) 
+// get a link mask that commits to the whole linked resource instead, see maskLink.
+// If you pass sync: true, it records where the copy came from at the copy's _meta/trellis-mask-source
+// so syncMaskedResource can regenerate it later when the original changes.
+// If you pass link: true, it links the copy from the original's _meta/masks/<maskKeyForPaths(paths)>/<resource key>, and
+// puts { url, paths } of the original at the copy's _meta/trellis-mask-original.
+// If you pass bookmarksPath (i.e. /bookmarks/trellisfw/masked-audits), the copy is also linked there under its resource key.
+// created, expires, purpose: optional, put in every mask (see maskTerms).  With sync: true, they are kept for later
+// re-masks too, and created: true is the time of each re-mask.
+async function maskRemoteResourceAsNewResource({ url, paths, token, connection, signatureCallback, perPathNonce, alg, sync, link, bookmarksPath, signer, created, expires, purpose }) {
   if (!url) {
     error('#maskRemoteResourceAsNewResource: you must pass a url');
     throw new Error('#maskRemoteResourceAsNewResource: you must pass a url to mask');
   }
-  if (!paths || paths.length < 1) {
+  if (paths && paths.length < 1) {
     error('#maskRemoteResourceAsNewResource: you must pass at least one path to mask in the resource');
     throw new Error('#maskRemoteResourceAsNewResource: you must pass at least one path to mask in the resource');
   }
+  if (alg && !normalizeHashAlg(alg)) {
+    error(`#maskRemoteResourceAsNewResource: unsupported hash algorithm ${alg}`);
+    throw new Error(`#maskRemoteResourceAsNewResource: unsupported hash algorithm (${alg})`);
+  }
+  maskTerms({created, expires, purpose}); // throws before we change anything if they're bad
   const domain = domainFromURL(url);
   const path = pathFromURL(url);
   connection = await connectionOrToken({token: (token ? token : false), connection: (connection ? connection : false), domain});
@@ -298,174 +1383,1065 @@ async function maskRemoteResourceAsNewResource({ url, paths, token, connection,
   trace('#maskRemoteResourceAsNewResource: Requesting original from remote and creating new empty resource for our copy');
   const original = await connection.get({ path })
     .then(r => r.data)
-    .catch(e => { throw new Error(`Could not get original resource at url ${url}.  Error was: ${e}`) });
+    .catch(e => { throw contextError(e, url, `Could not get original resource at url ${url}`) });
   trace('#maskRemoteResourceAsNewResource: retrieved original, it is',original);
 
-  // If we already have a nonce on the resource, use that instead of overwriting
-  const nonceurl = url + '/_meta/nonce';
-  let nonce = null;
-  let havenonce = false;
-  await connection.get({ path: pathFromURL(nonceurl) })
-  .then(r => {
-    trace('#maskRemoteResourceAsNewResource: original already has a nonce, re-using that');
-    nonce = r.data;
-  }).catch(async (e) => {
-    trace('#maskRemoteResourceAsNewResource: original does not have a nonce, making a new one and saving to '+pathFromURL(nonceurl));
-    nonce = makeNonce();
-    await connection.put({ path: pathFromURL(nonceurl), data: JSON.stringify(nonce), headers: { 'content-type': original._type } })
-          .catch(e => { throw new Error(`Could not save new nonce back to original resource!  error was ${e}`) });
-  });
-
-  trace('#maskRemoteResourceAsNewResource: masking Resource content locally with maskResource');
-  let { resource } = maskResource({resource: original, urlToResource: url, paths, nonce, nonceurl});
+  const masked = await maskFetchedOriginal({url, original, paths, connection, perPathNonce, alg, created, expires, purpose});
+  let resource = masked.resource;
 
-  // If you want to sign it, now is a good time
+  // If you want to sign it, now is a good time.  paths has any wildcards already expanded.
   if (signatureCallback) {
     trace('#maskRemoteResourceAsNewResource: calling signatureCallback');
-    resource = await signatureCallback(resource);
+    resource = await signatureCallback(resource, masked.paths);
   }
 
   // Now, put the resource back as the copy
   const newResource = 
     await connection.post({ path: `/resources`, data: resource, headers: { 'content-type': original._type } })
                     .then(r => r.headers['content-location'].slice(1)) // get rid of leading slash for _id
-                    .catch(err => { throw new Error(`Could not PUT masked resource into new resource copy.  Error was: '${err}`) });
+                    .catch(err => { throw contextError(err, domain+'/resources', 'Could not PUT masked resource into new resource copy') });
+
+  if (link) {
+    trace(`#maskRemoteResourceAsNewResource: linking original ${url} and masked copy ${newResource} to each other`);
+    await linkOriginalAndCopy({ connection, url, original, newResourceid: newResource, paths: masked.paths, bookmarksPath });
+  } else if (bookmarksPath) {
+    await linkCopyInBookmarks({ connection, newResourceid: newResource, bookmarksPath, contentType: original._type });
+  }
+
+  if (sync) {
+    // Keep the paths as they were passed (not expanded) so wildcards pick up new matches when we re-mask
+    const source = syncSource({ url, paths: paths || getMaskPolicy(original._type).paths, rev: original._rev, 
+                                perPathNonce, alg, signed: !!signatureCallback, signer, created, expires, purpose });
+    trace(`#maskRemoteResourceAsNewResource: recording sync source on ${newResource}: `, source);
+    await putSyncSource({ connection, path: `/${newResource}`, source, contentType: original._type });
+  }
 
   return newResource; // return the id of the new resource that is the masked version
 }
 
 
 // This makes a masked copy of a resource with the given paths masked, and it also
-// re-signs the masked document after masking
-async function maskAndSignRemoteResourceAsNewResource({url, privateJWK, signer, token, connection, paths}) {
+// re-signs the masked document after masking.  If you don't pass paths or signer, they
+// come from the mask policy for the original's _type.  Pass keySigner instead of privateJWK to sign
+// without the private key (see jwkKeySigner).
+async function maskAndSignRemoteResourceAsNewResource({url, privateJWK, keySigner, signer, token, connection, paths, perPathNonce, alg, sync, link, bookmarksPath, created, expires, purpose}) {
   token = token || false;
   connection = connection || false;
   return await maskRemoteResourceAsNewResource({
-    url, signer, token, connection, paths, 
-    signatureCallback: async (resource) => 
-      await signResource({resource,privateJWK, signer, paths}) // returns the signed version of resource to maskRemoteResourceAsNewResource
+    url, signer, token, connection, paths, perPathNonce, alg, sync, link, bookmarksPath, created, expires, purpose,
+    signatureCallback: async (resource, maskedPaths) => 
+      await signResource({resource, privateJWK, keySigner, paths: maskedPaths,
+        signer: signer || getMaskPolicy(resource._type).signer,
+      }) // returns the signed version of resource to maskRemoteResourceAsNewResource
   });
 }
 
+// Makes masked copies of many remote resources at once, with at most concurrency of them in progress at a time.
+// urls: array of urls to mask, or
+// listurl: url of a list resource (i.e. { abc: { _id: 'resources/123' }, ... }), every link in it is masked
+// paths, perPathNonce, alg, sync, link, bookmarksPath, created, expires, purpose: same for every resource, as in maskRemoteResourceAsNewResource (leave out paths to use mask policies)
+// privateJWK or keySigner, signer: if you pass privateJWK or keySigner, each copy is signed as in maskAndSignRemoteResourceAsNewResource
+// connections: same as verifyRemote, a connection is only made once for each domain and shared by the whole batch
+// A failure on one resource does not stop the others, check the results.
+// Returns { succeeded, failed, results: [ { url, success, newResourceid, error, code, status } ] } in the same order as the urls.
+// A failed result has the error's message, and its code and status (see MaskLinkError, false for other errors).
+async function maskRemoteResourcesAsNewResources({urls, listurl, paths, token, connection, connections, privateJWK, keySigner, signer, perPathNonce, alg, sync, link, bookmarksPath, created, expires, purpose, concurrency}) {
+  if (!urls && !listurl) {
+    error('#maskRemoteResourcesAsNewResources: you must pass urls or listurl');
+    throw new Error('#maskRemoteResourcesAsNewResources: you must pass either an array of urls or a listurl to mask');
+  }
+  concurrency = concurrency || 5;
+  connections = connectionResolver({token, connection, connections});
+
+  if (listurl) {
+    const domain = domainFromURL(listurl);
+    const list = await (await connections(domain)).get({ path: pathFromURL(listurl) })
+      .then(r => r.data)
+      .catch(e => { throw contextError(e, listurl, `Could not get list resource at url ${listurl}`) });
+    urls = _.filter(_.map(list, (link,key) => 
+      (key[0] !== '_' && link && typeof link._id === 'string') ? `${domain}/${link._id}` : false
+    ));
+    trace(`#maskRemoteResourcesAsNewResources: found ${urls.length} links in list ${listurl}`);
+  }
+
+  const results = await Promise.map(urls, async (url) => {
+    try {
+      const connection = await connections(domainFromURL(url));
+      const newResourceid = (privateJWK || keySigner)
+        ? await maskAndSignRemoteResourceAsNewResource({url, privateJWK, keySigner, signer, connection, paths, perPathNonce, alg, sync, link, bookmarksPath, created, expires, purpose})
+        : await maskRemoteResourceAsNewResource({url, connection, paths, perPathNonce, alg, sync, link, bookmarksPath, created, expires, purpose});
+      trace(`#maskRemoteResourcesAsNewResources: masked ${url} as ${newResourceid}`);
+      return { url, success: true, newResourceid };
+    } catch(e) {
+      warn(`#maskRemoteResourcesAsNewResources: failed to mask ${url}.  Error was: `, e.message);
+      return { url, success: false, error: e.message, code: e.code || false, status: e.status || false };
+    }
+  }, { concurrency });
+
+  const succeeded = _.filter(results, r => r.success).length;
+  return { succeeded, failed: results.length - succeeded, results };
+}
+
+
+//----------------------------------------------------------------------------------
+//----------------------------------------------------------------------------------
+// Keeping masked copies in sync with their originals
+//----------------------------------------------------------------------------------
+//----------------------------------------------------------------------------------
+
+// What we keep at a masked copy's _meta/trellis-mask-source:
+// { url, paths, rev, perPathNonce, alg, signed, signer, created, expires, purpose } where rev is the original's _rev that
+// the copy was made from.  created is kept as it was passed, so created: true stamps each re-mask with its own time.
+function syncSource({url, paths, rev, perPathNonce, alg, signed, signer, created, expires, purpose}) {
+  const source = { url, paths, rev: (typeof rev === 'undefined' ? null : rev), signed: !!signed };
+  if (perPathNonce) source.perPathNonce = true;
+  if (alg) source.alg = normalizeHashAlg(alg);
+  if (signer) source.signer = signer;
+  if (created) source.created = created === true ? true : maskTerms({created}).created;
+  _.assign(source, maskTerms({expires, purpose}));
+  return source;
+}
+async function putSyncSource({connection, path, source, contentType}) {
+  return await connection.put({ path: `${path}/_meta`, data: { 'trellis-mask-source': source }, headers: { 'content-type': contentType } })
+    .catch(e => { throw contextError(e, `${path}/_meta`, `Could not save sync source to ${path}/_meta`) });
+}
+async function getSyncSource({connection, url}) {
+  const source = await connection.get({ path: pathFromURL(url)+'/_meta/trellis-mask-source' })
+    .then(r => r.data)
+    .catch(e => { throw contextError(e, url+'/_meta/trellis-mask-source', `Could not get sync source for masked copy at ${url}, was it made with sync: true?`) });
+  if (!source || typeof source.url !== 'string') {
+    throw new Error(`#getSyncSource: masked copy at ${url} has no original url in its _meta/trellis-mask-source`);
+  }
+  return source;
+}
+
+// Re-masks the original of a masked copy that was made with sync: true, and puts it back over
+// the copy at the same url (i.e. the copy's id does not change).  Does nothing if the original's _rev
+// is the same one the copy was made from, unless you pass force: true.
+// url: url of the masked copy
+// token, connection, connections: same as verifyRemote, used for both the copy and the original
+// privateJWK or keySigner, signer: if the copy was signed, you have to pass privateJWK or keySigner so it can be re-signed.
+//                                  signer defaults to the one recorded when the copy was made.
+// Returns { updated, url, rev, paths }
+async function syncMaskedResource({url, token, connection, connections, privateJWK, keySigner, signer, force}) {
+  if (!url) {
+    error('#syncMaskedResource: you must pass a url');
+    throw new Error('#syncMaskedResource: you must pass the url of the masked copy to sync');
+  }
+  connections = connectionResolver({token, connection, connections});
+  const copyconnection = await connections(domainFromURL(url));
+  const source = await getSyncSource({connection: copyconnection, url});
+  if (source.signed && !privateJWK && !keySigner) {
+    error('#syncMaskedResource: masked copy was signed, but no privateJWK or keySigner was passed to re-sign it');
+    throw new Error(`#syncMaskedResource: masked copy at ${url} was signed, you must pass privateJWK or keySigner to re-sign it`);
+  }
+
+  const originalconnection = await connections(domainFromURL(source.url));
+  const original = await originalconnection.get({ path: pathFromURL(source.url) })
+    .then(r => r.data)
+    .catch(e => { throw contextError(e, source.url, `Could not get original resource at url ${source.url}`) });
+  if (!force && original._rev === source.rev) {
+    trace(`#syncMaskedResource: original ${source.url} is still at rev ${source.rev}, nothing to do`);
+    return { updated: false, url, rev: source.rev, paths: source.paths };
+  }
+
+  trace(`#syncMaskedResource: original ${source.url} changed from rev ${source.rev} to ${original._rev}, re-masking`);
+  const paths = await remaskCopy({ url, copyconnection, original, originalconnection, source, privateJWK, keySigner, signer });
+  await putSyncSource({ connection: copyconnection, path: pathFromURL(url), source: _.assign({}, source, { rev: original._rev }), contentType: original._type });
+  return { updated: true, url, rev: original._rev, paths };
+}
+
+// The paths in old that would still be there after a merge PUT of resource over it: keys that aren't in resource
+// anymore, arrays that changed, and anything that became or stopped being a mask or link (those are replaced whole).
+function stalePaths(old, resource, curpath) {
+  return _.flatMap(_.keys(old), k => {
+    const p = `${curpath}/${jsonpointer.escape(k)}`;
+    if (!_.has(resource, k)) return [ p ];
+    const o = old[k], n = resource[k];
+    if (_.isEqual(o, n)) return [];
+    if (_.isArray(o) || isMask(o) !== isMask(n) || isLink(o) !== isLink(n)) return [ p ];
+    if (_.isPlainObject(o) && _.isPlainObject(n)) return stalePaths(o, n, p);
+    return [];
+  });
+}
+
+// Masks original (already fetched from source.url) the way source (see syncSource) says to, signs it if source.signed,
+// and puts it over the masked copy at url.  Anything in the copy that isn't in the re-masked resource is deleted first,
+// i.e. a key removed from the original, or an unmasked value at a path that is masked now.
+// Returns the paths that were masked, with any wildcards expanded.
+async function remaskCopy({url, copyconnection, original, originalconnection, source, privateJWK, keySigner, signer}) {
+  let { resource, paths } = await maskFetchedOriginal({ url: source.url, original, paths: source.paths, 
+    connection: originalconnection, perPathNonce: source.perPathNonce, alg: source.alg,
+    created: source.created, expires: source.expires, purpose: source.purpose });
+  if (source.signed) {
+    resource = await signResource({resource, privateJWK, keySigner, paths, signer: signer || source.signer});
+  }
+  // Don't clobber the copy's own _id, _rev, and _meta with the original's
+  const data = _.omit(resource, [ '_id', '_rev', '_meta' ]);
+  const copy = await copyconnection.get({ path: pathFromURL(url) })
+    .then(r => r.data)
+    .catch(e => { throw contextError(e, url, `Could not get masked copy at ${url} to re-mask it`) });
+  const stale = stalePaths(_.omit(copy, [ '_id', '_rev', '_meta', '_type' ]), data, '');
+  trace(`#remaskCopy: deleting ${stale.length} stale paths from ${url}: `, stale);
+  await Promise.each(stale, p => copyconnection.delete({ path: pathFromURL(url)+p, headers: { 'content-type': original._type } })
+    .catch(e => { throw contextError(e, url+p, `Could not delete stale ${p} from masked copy at ${url}`) }));
+  await copyconnection.put({ path: pathFromURL(url), data, headers: { 'content-type': original._type } })
+    .catch(e => { throw contextError(e, url, `Could not PUT re-masked resource back to ${url}`) });
+  return paths;
+}
+
+// Syncs the masked copy at url once, then watches its original through the OADA change feed and
+// syncs again every time it changes.  Watching needs a websocket: pass watchConnection (an oada-cache 
+// connection with websocket to the original's domain), or a token and one will be made.
+// onSync(result) and onError(err) are called after each sync from the change feed.
+// Returns { result, unwatch } where result is the first syncMaskedResource result, and unwatch() stops watching.
+async function watchMaskedResource({url, token, connection, connections, watchConnection, privateJWK, keySigner, signer, onSync, onError}) {
+  connections = connectionResolver({token, connection, connections});
+  const source = await getSyncSource({connection: await connections(domainFromURL(url)), url});
+  const path = pathFromURL(source.url);
+  if (!watchConnection) {
+    if (!token) throw new Error('#watchMaskedResource: you must pass either a token or a watchConnection with a websocket to watch the original');
+    watchConnection = await oadaCacheTransport({ domain: domainFromURL(source.url), token, websocket: true });
+  }
+
+  // Syncs run one at a time so two quick changes don't both PUT to the copy at once.  The first one catches
+  // up on anything that changed before the watch started.  Its errors are thrown below, not sent to onError.
+  const first = syncMaskedResource({url, connections, privateJWK, keySigner, signer});
+  let running = first.catch(() => {});
+  const syncOnChange = () => {
+    running = running
+      .then(() => syncMaskedResource({url, connections, privateJWK, keySigner, signer}))
+      .then(result => onSync && onSync(result))
+      .catch(e => {
+        error(`#watchMaskedResource: failed to sync ${url} after change to ${source.url}.  Error was: `, e.message);
+        if (onError) onError(e);
+      });
+    return running;
+  };
+
+  await watchConnection.get({ path, watch: { callback: syncOnChange } });
+  trace(`#watchMaskedResource: watching ${source.url} for changes to keep ${url} in sync`);
+  const unwatch = async () => await watchConnection.delete({ path, unwatch: true });
+  // Nobody gets unwatch if the first sync fails, so stop watching before throwing
+  const result = await first.catch(async e => {
+    await unwatch().catch(ue => warn(`#watchMaskedResource: failed to unwatch ${source.url} after the first sync failed.  Error was: `, ue.message));
+    throw e;
+  });
+  return { result, unwatch };
+}
+
+// Gets whatever is at url, or returns notfound if it isn't there
+async function getOrNotFound({connection, url, notfound, message}) {
+  return await connection.get({ path: pathFromURL(url) })
+    .then(r => r.data)
+    .catch(e => {
+      if (remoteError(e, url) instanceof NotFoundError) return notfound;
+      throw contextError(e, url, message);
+    });
+}
+
+// Figures out how to re-mask the masked copy at url from its original at originalurl, as a syncSource.
+// Uses the copy's _meta/trellis-mask-source if it was made with sync: true, then its _meta/trellis-mask-original
+// if it was made with link: true, and otherwise the paths of the masks in it.  The rest (perPathNonce, alg,
+// signed, signer, expires, purpose) comes from the copy's masks and signatures, and if its masks had a created,
+// the new ones are created now.
+// Returns { source, sync } where sync is true if the copy has a _meta/trellis-mask-source to keep up to date.
+async function remaskSourceForCopy({connection, url, originalurl, original}) {
+  const syncsource = await getOrNotFound({ connection, url: url+'/_meta/trellis-mask-source', notfound: false,
+    message: `Could not get sync source for masked copy at ${url}` });
+  if (syncsource) {
+    if (syncsource.url !== originalurl) throw new Error(`#remaskSourceForCopy: masked copy at ${url} is a copy of ${syncsource.url}, not ${originalurl}`);
+    return { source: syncsource, sync: true };
+  }
+  const copy = await getOrNotFound({ connection, url, notfound: false, message: `Could not get masked copy at ${url}` });
+  if (!copy) throw new NotFoundError(`Masked copy at ${url} was not found`, { url, status: 404 });
+  const linked = await getOrNotFound({ connection, url: url+'/_meta/trellis-mask-original', notfound: false,
+    message: `Could not get original of masked copy at ${url}` });
+  if (linked && linked.url !== originalurl) throw new Error(`#remaskSourceForCopy: masked copy at ${url} is a copy of ${linked.url}, not ${originalurl}`);
+  const paths = linked ? linked.paths : findAllMaskPathsInResource(copy);
+  if (paths.length < 1) throw new Error(`#remaskSourceForCopy: masked copy at ${url} does not have any masks`);
+
+  const masks = _.filter(_.map(paths, p => jsonpointer.has(copy, p) && jsonpointer.get(copy, p)['trellis-mask']));
+  const first = masks[0] || {};
+  const signed = (copy.signatures || []).length > (original.signatures || []).length;
+  let signer = false;
+  if (signed) {
+    try {
+      signer = oadacerts.jwksutils.decodeWithoutVerify(_.last(copy.signatures)).payload.signer || false;
+    } catch(e) {
+      warn(`#remaskSourceForCopy: could not decode the last signature on ${url} to find its signer`);
+    }
+  }
+  return {
+    source: syncSource({ url: originalurl, paths, rev: null, signed, signer,
+      perPathNonce: _.some(masks, m => /\/_meta\/nonces\//.test(m.nonceurl || '')),
+      alg: _.get(_.find(masks, m => !m.link), 'hashinfo.alg'),
+      created: !!first.created, expires: first.expires, purpose: first.purpose,
+    }),
+    sync: false,
+  };
+}
+
+// Replaces the nonce(s) of the original at url with new ones (i.e. because one leaked), then re-masks and
+// re-signs its masked copies with the new nonce so none of their masks can be checked against the old one anymore.
+// Every nonce on the original is replaced: _meta/nonce, and every per-path nonce under _meta/nonces.
+// url: url of the original
+// copies: optional array of urls of other masked copies to update.  Every copy linked from the original's _meta/masks
+//         (made with link: true) is always found, including several with the same paths.  Each one is re-masked with the paths in its _meta/trellis-mask-source,
+//         or its _meta/trellis-mask-original, or else the paths of the masks in it.
+// token, connection, connections: same as verifyRemote
+// privateJWK or keySigner, signer: to re-sign copies that were signed.  signer defaults to the one that signed the copy.
+// concurrency: how many copies to update at once, default 5
+// A copy that can't be updated does not stop the others, and its masks still use the old nonce, so check failed.
+// Returns { nonceurls, updated, failed } where nonceurls are the nonces that were replaced, updated are the urls
+// of the copies that were re-masked, and failed is an array of { url, error, code, status } for the ones that couldn't be
+// (code and status as in MaskLinkError, or false for other errors).
+async function rotateNonce({url, copies, token, connection, connections, privateJWK, keySigner, signer, concurrency}) {
+  if (!url) {
+    error('#rotateNonce: you must pass a url');
+    throw new Error('#rotateNonce: you must pass the url of the original whose nonce should be rotated');
+  }
+  connections = connectionResolver({token, connection, connections});
+  const domain = domainFromURL(url);
+  const originalconnection = await connections(domain);
+  let original = await getOrNotFound({ connection: originalconnection, url, notfound: false, message: `Could not get original resource at url ${url}` });
+  if (!original) throw new NotFoundError(`Original resource at ${url} was not found`, { url, status: 404 });
+
+  const nonce = await getOrNotFound({ connection: originalconnection, url: url+'/_meta/nonce', notfound: false,
+    message: `Could not get nonce at ${url}/_meta/nonce` });
+  const nonces = await getOrNotFound({ connection: originalconnection, url: url+'/_meta/nonces', notfound: {},
+    message: `Could not get per-path nonces at ${url}/_meta/nonces` });
+  const nonceurls = (nonce ? [ url+'/_meta/nonce' ] : [])
+    .concat(_.map(_.keys(jsonpointer.dict(_.omit(nonces, [ '_id', '_rev' ]))), p => url+'/_meta/nonces'+p));
+  if (nonceurls.length < 1) {
+    throw new NotFoundError(`Original resource at ${url} does not have any nonces to rotate`, { url });
+  }
+  await Promise.each(nonceurls, async (nonceurl) => {
+    trace(`#rotateNonce: replacing nonce at ${nonceurl}`);
+    await originalconnection.put({ path: pathFromURL(nonceurl), data: JSON.stringify(makeNonce()), headers: { 'content-type': original._type } })
+      .catch(e => { throw contextError(e, nonceurl, `Could not save new nonce to ${nonceurl}`) });
+  });
+  // Writing the nonces gave the original a new _rev
+  original = await getOrNotFound({ connection: originalconnection, url, notfound: false, message: `Could not get original resource at url ${url}` });
+
+  const linked = _.map(_.flatten(_.values(await findMaskedCopies({url, connection: originalconnection}))), id => `${domain}/${id}`);
+  copies = _.uniq(linked.concat(copies || []));
+  trace(`#rotateNonce: rotated ${nonceurls.length} nonces, re-masking ${copies.length} copies`);
+
+  const results = await Promise.map(copies, async (copyurl) => {
+    try {
+      const copyconnection = await connections(domainFromURL(copyurl));
+      const { source, sync } = await remaskSourceForCopy({ connection: copyconnection, url: copyurl, originalurl: url, original });
+      if (source.signed && !privateJWK && !keySigner) {
+        throw new Error(`#rotateNonce: masked copy at ${copyurl} was signed, you must pass privateJWK or keySigner to re-sign it`);
+      }
+      await remaskCopy({ url: copyurl, copyconnection, original, originalconnection, source, privateJWK, keySigner, signer });
+      if (sync) {
+        await putSyncSource({ connection: copyconnection, path: pathFromURL(copyurl), source: _.assign({}, source, { rev: original._rev }), contentType: original._type });
+      }
+      return { url: copyurl, success: true };
+    } catch(e) {
+      warn(`#rotateNonce: failed to re-mask copy ${copyurl} with the new nonce.  Error was: `, e.message);
+      return { url: copyurl, success: false, error: e.message, code: e.code || false, status: e.status || false };
+    }
+  }, { concurrency: concurrency || 5 });
+
+  return {
+    nonceurls,
+    updated: _.map(_.filter(results, 'success'), 'url'),
+    failed: _.map(_.reject(results, 'success'), r => _.pick(r, [ 'url', 'error', 'code', 'status' ])),
+  };
+}
+
+// Compares two masked versions of a resource (i.e. an updated masked audit from a supplier) and says what changed.
+// Masks are compared by their hashes, since that's all you can see of them, and everything outside masks is compared
+// as plain JSON (except the top-level _id, _rev, _meta, and signatures).  Signatures are compared separately, since
+// every re-sign replaces the whole JWS.
+// a, b: the older and newer masked resources
+// options: { token, connection, connections } (same as verifyRemote) to also fetch the originals behind every mask
+//          that was added, removed, or changed with verifyRemote.  Without them, nothing is fetched.
+// Returns { same, added, removed, changed, fields, signatures, resolved }
+//   added, removed: paths of masks only in b, or only in a
+//   changed: array of { path, from, to } for masks in both whose hashinfo is different (from and to are the trellis-mask's)
+//   fields: array of { path, from, to } for every plain value that is different.  from or to is undefined if it
+//           was added or removed.  Anything that is a mask in either one is left out, it is in added/removed/changed instead.
+//   signatures: { added, removed } with the JWS's only in b, or only in a
+//   resolved: only if you passed options, object of path => { from, to } with the original behind each mask in added,
+//             removed, and changed.  An original is false if it could not be fetched or did not match its mask.
+async function diffMaskedResources(a, b, options) {
+  if (!a || !b) throw new Error('#diffMaskedResources: you must pass two masked resources to compare');
+  options = options || {};
+  const maskAt = (resource, p) => jsonpointer.get(resource, p)['trellis-mask'];
+  const apaths = findAllMaskPathsInResource(a);
+  const bpaths = findAllMaskPathsInResource(b);
+  const added = _.difference(bpaths, apaths);
+  const removed = _.difference(apaths, bpaths);
+  const changed = _.filter(_.map(_.intersection(apaths, bpaths), path => ({ path, from: maskAt(a, path), to: maskAt(b, path) })),
+                           c => !_.isEqual(c.from.hashinfo, c.to.hashinfo));
+
+  const fields = [];
+  function diffFields(x, y, curpath) {
+    if ((x && x['trellis-mask']) || (y && y['trellis-mask'])) return; // masks are compared above
+    if (_.isEqual(x, y)) return;
+    const bothContainers = _.isObject(x) && _.isObject(y) && _.isArray(x) === _.isArray(y);
+    if (!bothContainers) {
+      fields.push({ path: curpath, from: x, to: y });
+      return;
+    }
+    _.each(_.union(_.keys(x), _.keys(y)), k => 
+      diffFields(x[k], y[k], jsonpointer.compile(jsonpointer.parse(curpath).concat(k))));
+  }
+  const skipkeys = [ '_id', '_rev', '_meta', 'signatures' ];
+  diffFields(_.omit(a, skipkeys), _.omit(b, skipkeys), '');
+
+  const jwsList = r => _.compact(_.castArray(r.signatures));
+  const signatures = {
+    added: _.difference(jwsList(b), jwsList(a)),
+    removed: _.difference(jwsList(a), jwsList(b)),
+  };
+
+  const result = { same: false, added, removed, changed, fields, signatures };
+  result.same = added.length < 1 && removed.length < 1 && changed.length < 1 && fields.length < 1
+             && signatures.added.length < 1 && signatures.removed.length < 1;
+  if (!options.token && !options.connection && !options.connections) return result;
+
+  // Get the originals for everything that changed, sharing connections across all of them
+  const connections = connectionResolver({token: options.token, connection: options.connection, connections: options.connections});
+  const originalFor = async (resource, p) => {
+    if (!_.includes(findAllMaskPathsInResource(resource), p)) return undefined;
+    const { valid, match, original } = await verifyRemote({mask: jsonpointer.get(resource, p), connections});
+    return (valid && match) ? original : false;
+  };
+  result.resolved = await Promise.reduce(added.concat(removed, _.map(changed, 'path')), async (acc, p) => {
+    acc[p] = await Promise.props({ from: originalFor(a, p), to: originalFor(b, p) });
+    trace(`#diffMaskedResources: resolved originals for ${p}: `, acc[p]);
+    return acc;
+  }, {});
+  return result;
+}
 
 // Given a set of paths, reconstruct those paths in the original resource from the masks that are there.
-async function reconstructOriginalFromMaskPaths(maskedResource, paths, connection) {
+// connections: function (domain) => connection from connectionResolver, used to fetch each mask's original and nonce
+// options:
+//   tolerateMissing: true|false => if a path has no mask on it, just note that in details rather than
+//                    calling the whole thing invalid.  Used for mask signatures that were applied before a
+//                    modification signature, since the modification may have legitimately removed the mask.
+async function reconstructOriginalFromMaskPaths(maskedResource, paths, connections, options) {
+  options = options || {};
   const result = await Promise.map(paths, async (p) => {
-    const mask = jsonpointer.get(maskedResource,p);
+    const mask = jsonpointer.has(maskedResource,p) ? jsonpointer.get(maskedResource,p) : null;
     trace('#reconstructOriginalFromMaskPaths: retrieved path ',p,' from maskedResource and got mask = ', mask);
-    const { valid, match, original, details } = await verifyRemote({mask,connection}); // valid, match, original, details
-    return { path: p, valid, match, original, details };
+    if (!isMask(mask)) {
+      if (options.tolerateMissing) {
+        return { path: p, valid: true, match: true, original: false, skip: true, details: [ 'No mask found at path, it was modified after masking' ] };
+      }
+      return { path: p, valid: false, match: false, original: false, skip: true, details: [ 'No mask found at path' ] };
+    }
+    const { valid, match, original, details, report } = await verifyRemote({mask,connections}); // valid, match, original, details, report
+    return { path: p, valid, match, original, details, report };
   }).reduce((acc,p) => {
     acc.details.push(`Path ${p.path}: valid = ${p.valid}, match = ${p.match}, details = ${JSON.stringify(p.details)}`);
-    jsonpointer.set(acc.resource, p.path, p.original);
+    acc.masks.push(p.report ? _.assign({ path: p.path }, p.report) : maskReport({path: p.path, valid: p.valid, match: p.match}));
+    if (!p.skip) jsonpointer.set(acc.resource, p.path, p.original);
     return {
       valid: acc.valid && p.valid,
       match: acc.match && p.match,
       details: acc.details,
+      masks: acc.masks,
       resource: acc.resource,
     };
-  }, { valid: true, match: true, details: [], resource: maskedResource });
+  }, { valid: true, match: true, details: [], masks: [], resource: _.cloneDeep(maskedResource) });
   return result;
 }
 
+// Trust: without any trust options, tsig.verify decides if a signature is trusted from the Trellis trusted list.
+// Pass trust: { trustedList, keyResolver } to verifyRemoteResource to decide it for yourself instead:
+//   trustedList: URL of a trusted list, or the list itself.  A list is either an OADA v2 trusted list 
+//                ({ version: '2', jkus: [ ... ], jwks: { keys: [ ... ] } }), or an array of jku strings and/or public JWKs.
+//                Defaults to the same Trellis trusted list tsig uses.
+//   keyResolver: async ({header, signature}) => public JWK for a signature, or falsy to use the jwk/jku from its header.
+//                i.e. for signatures whose jku is on a private network you can't (or don't want to) fetch from.
+//   offline: true to never fetch a key.  A signature whose key isn't in the list, from keyResolver, or in keys is not valid.
+//   keys: a JWK set of keys to check signatures with when neither the list nor keyResolver has one, i.e. the keys saved in
+//         an audit bundle.  Whoever made the set picked these keys, so a signature checked with one is never trusted by its jku.
+// A signature is trusted if it is valid and the list has a key with its kid, or its jku is in the list and its key
+// came from that jku (or from keyResolver).  If the list has the key, the signature has to verify with the key from the
+// list, not whatever the header or keyResolver said.
+const TRELLIS_TRUSTED_LIST = 'https://raw.githubusercontent.com/trellisfw/trusted-list/master/keys.json';
+
+function normalizeTrustedList(list) {
+  if (_.isArray(list)) {
+    return { jkus: _.filter(list, _.isString), jwks: { keys: _.filter(list, oadacerts.jwksutils.isJWK) } };
+  }
+  if (list && (list.jkus || list.jwks)) {
+    return { 
+      jkus: _.filter(list.jkus || [], _.isString), 
+      jwks: oadacerts.jwksutils.isJWKset(list.jwks) ? list.jwks : { keys: [] },
+    };
+  }
+  throw new Error('#normalizeTrustedList: trusted list must be an array of jku\'s and JWK\'s, or an object with jkus and/or jwks');
+}
+
+// Returns the trusted list as { jkus, jwks }, fetching it first if trustedList is a URL
+async function resolveTrustedList(trustedList) {
+  if (typeof trustedList !== 'string') return normalizeTrustedList(trustedList);
+  trace('#resolveTrustedList: fetching trusted list from ', trustedList);
+  const list = await Promise.resolve(axios.get(trustedList)).timeout(requestOptions.timeout).then(r => r.data)
+                 .catch(e => { throw contextError(e, trustedList, `Failed to retrieve trusted list from ${trustedList}`) });
+  return normalizeTrustedList(list);
+}
+
+// Verifies the last signature on resource.  Returns the same thing as tsig.verify, plus trustedBy:
+// 'jku' or 'jwk' for whichever one matched the trusted list, 'default-list' if tsig decided it was trusted, or false.
+// trust: false to leave it all up to tsig, or { list, keyResolver, offline, keys } where list came from resolveTrustedList
+async function verifySignature(resource, trust) {
+  if (!trust) {
+    const result = await tsig.verify(resource);
+    return _.assign(result, { trustedBy: result.trusted ? 'default-list' : false });
+  }
+  const jwku = oadacerts.jwksutils;
+  const signature = _.last(resource.signatures);
+  const original = _.cloneDeep(resource);
+  original.signatures.pop();
+  if (original.signatures.length < 1) delete original.signatures;
+
+  let decoded = null;
+  try {
+    decoded = jwku.decodeWithoutVerify(signature);
+  } catch(e) {
+    trace('#verifySignature: could not decode signature: ', e);
+    return { trusted: false, trustedBy: false, valid: false, unchanged: false, payload: false, header: false, original, details: [ 'Could not decode signature' ] };
+  }
+  const { header, payload } = decoded;
+  const details = [];
+  const kid = header.kid || (header.jwk && header.jwk.kid);
+  const listedKey = jwku.findJWK(kid, trust.list.jwks);
+  const listedJKU = !!header.jku && _.includes(trust.list.jkus, header.jku);
+
+  let jwk = listedKey;
+  // Whether jwk came from somewhere the verifier vouches for, so a listed jku can make the signature trusted
+  let fromJKU = false;
+  if (!jwk && trust.keyResolver) {
+    jwk = await trust.keyResolver({header, signature});
+    fromJKU = !!jwk;
+    if (jwk) details.push(`Used key from keyResolver for kid ${kid}`);
+  }
+  if (!jwk && trust.keys) {
+    jwk = _.find(trust.keys.keys, k => (kid && k.kid === kid) || (header.jwk && _.isEqual(k, header.jwk))) || false;
+    if (jwk) details.push(`Used key from the given keys for kid ${kid}, it can't make the signature trusted by its jku`);
+  }
+  if (!jwk && trust.offline) {
+    details.push(`No public key for kid ${kid} in the trusted list, from keyResolver, or in keys, and not going online for one`);
+  } else if (!jwk) {
+    // Only go get the key from the jku if the list trusts it, otherwise just use the jwk in the header
+    jwk = await jwku.jwkForSignature(signature, listedJKU ? header.jku : false, { timeout: requestOptions.timeout })
+      .catch(e => { details.push(`Could not get public key for signature: ${e.message}`); return false; });
+    fromJKU = listedJKU && !!jwk;
+  }
+
+  let valid = false;
+  if (jwk) {
+    try {
+      valid = !!(await tsig.jose.JWS.createVerify(await tsig.jose.JWK.asKey(jwk)).verify(signature));
+    } catch(e) {
+      details.push(`Signature does not verify with public key for kid ${kid}: ${e.message}`);
+    }
+  }
+  const trustedBy = valid ? (listedKey ? 'jwk' : ((listedJKU && fromJKU) ? 'jku' : false)) : false;
+  details.push(trustedBy ? `Signature is trusted by its ${trustedBy} in the trusted list` : 'Signature is not trusted by the trusted list');
+  const unchanged = !!(payload && payload.hashinfo && payload.hashinfo.hash === tsig.hashJSON(original).hash);
+  return { trusted: !!trustedBy, trustedBy, valid, unchanged, payload, header, original, details };
+}
+
+// Turns the trust option from verifyRemoteResource into what verifySignature wants, fetching the trusted list if needed
+async function resolveTrust(trust) {
+  if (!trust) return false;
+  return { list: await resolveTrustedList(trust.trustedList || TRELLIS_TRUSTED_LIST), keyResolver: trust.keyResolver, offline: !!trust.offline, keys: trust.keys };
+}
+
+// The part of a verifySignature result that goes in a report: { type, signer, kid, trusted, trustedBy, unchanged, valid, maskPaths, error }
+function signatureLayer(sigResult) {
+  const { payload, header } = sigResult;
+  return {
+         type: payload.type,
+       signer: payload.signer,
+          kid: (header && (header.kid || (header.jwk && header.jwk.kid))) || false,
+      trusted: sigResult.trusted,
+    trustedBy: sigResult.trustedBy,
+    unchanged: sigResult.unchanged,
+        valid: sigResult.valid,
+    maskPaths: payload['mask-paths'] || [],
+        error: sigResult.valid ? false : 'signature-invalid',
+  };
+}
+
 // This can take url to a masked resource and token or connection, and verify all the
-// masks inside it as well as reconstruct it and verify all the mask signatures in order
-// until it finds a non-mask signature.
+// masks inside it as well as reconstruct it and verify all the mask and modification signatures
+// in order until it runs out of signatures.  If masks point at other clouds, pass connections as a
+// map of domain => token or connection, or a function (domain) => token or connection, and a 
+// connection will be created once for each domain.
 // returns { 
 //   trusted: true|false => is signature by a trusted signer
 //   valid: true|false => are all masks valid AND all mask signatures are valid, 
 //   unchanged: true|false => is original document unchanged since signature was applied, 
 //   match: true|false => do ALL mask hashes match the original
+//   signatures: array of { type, signer, kid, trusted, trustedBy, unchanged, valid, maskPaths, error } for each signature layer, from the last one applied to the first.
+//               trustedBy is what made that layer trusted (see verifySignature), error is signature-invalid if the signature is not valid, or false.
+//   levels: array of { depth, paths, valid, match, cycles } for each round of reconstructing masks left after the signatures.
+//           Originals can have masks inside them too, and those are reconstructed up to maxDepth (default 10) levels deep.
+//   unresolved: paths of any masks that are still in original
 //   details: array of strings to help you debug
+//   report: { signatures, masks } => the same thing as details, but structured.  masks is an array of maskReport's,
+//           one for every mask checked, with signature: <index into signatures> for masks from a signature layer, 
+//           or depth: <level> for masks reconstructed after the signatures (cycle: true if it was a cycle)
 // }
-// IMPORTANT NOTE: This does not yet support modification signatures, only masks and other non-modifying types.
-async function verifyRemoteResource({url, token, connection}) {
-  const domain = domainFromURL(url);
-  const path = pathFromURL(url);
-  connection = await connectionOrToken({domain, token: (token ? token : false), connection: (connection ? connection : false)});
+// If you already have the masked resource, pass it as resource instead of url and it will not be fetched.
+// Pass trust: { trustedList, keyResolver } to decide which signers are trusted yourself (see TRELLIS_TRUSTED_LIST above).
+// NOTE: a modification signature means the content was edited after the signatures below it were applied,
+// so those earlier signatures cannot be unchanged.  Their unchanged is still reported in their layer
+// of signatures, but only the layers from the top down through the last modification count toward unchanged.
+async function verifyRemoteResource({url, resource, token, connection, connections, maxDepth, trust}) {
+  connections = connectionResolver({token, connection, connections});
+  trust = await resolveTrust(trust);
 
-  const maskedResource = await connection.get({path: pathFromURL(url)}).then(r => r.data)
-                               .catch(e => { throw new Error(`Failed to retrieve masked resource from path ${pathFromURL(url)}.  Error was: ${e}`) });
+  // Reconstructing puts originals where the masks were, so work on a copy of the one you passed
+  let maskedResource = _.cloneDeep(resource);
+  if (!maskedResource) {
+    connection = await connections(domainFromURL(url));
+    maskedResource = await connection.get({path: pathFromURL(url)}).then(r => r.data)
+                             .catch(e => { throw contextError(e, url, `Failed to retrieve masked resource from path ${pathFromURL(url)}`) });
+  }
   trace('#verifyRemoteResource: retrieved masked resource, signatures = ', maskedResource.signatures);
 
   // First, verify the signature so we can get the mask-paths from that
-  async function recursiveVerifyMaskSignatures(resource) {
+  // modified: true if a modification signature was already found above this one
+  // index: which signature layer this is, starting from 0 for the last one applied
+  async function recursiveVerifyMaskSignatures(resource, modified, index) {
     // If there is no signature, then unchanged and trusted must be false
     let sigResult = { unchanged: false, trusted: false, match: true, valid: true, original: resource, details: [ 'No signature on resource' ]};
     if (resource.signatures) {
-      sigResult = await tsig.verify(resource);
+      sigResult = await verifySignature(resource, trust);
     }
     const { payload } = sigResult;
+    const layer = payload ? [ signatureLayer(sigResult) ] : [];
     if (!sigResult.valid) {
       trace('#recursiveVerifyMaskSignatures: signature is invalid, aborting');
-      return { valid: false, match: false, unchanged: false, resource: sigResult.original, details: [ 'Signature is invalid' ] };
+      return { trusted: false, valid: false, match: false, unchanged: false, resource: sigResult.original, signatures: layer, masks: [], details: [ 'Signature is invalid' ] };
     }
 
-    let reconstructResult = { valid: sigResult.valid, match: true, unchanged: true, resource: sigResult.original, details: [] };
+    let reconstructResult = { valid: sigResult.valid, match: true, unchanged: true, resource: sigResult.original, masks: [], details: [] };
     if (payload) {
       if (payload.type === 'mask') {
         trace('#recursiveVerifyMaskSignatures: found mask signature, reconstructing...');
         // Reconstruct the original at this point by replacing each path from payload.mask-paths, also checking each mask as we go:
-        reconstructResult = await reconstructOriginalFromMaskPaths(sigResult.original, payload['mask-paths'], connection);
+        reconstructResult = await reconstructOriginalFromMaskPaths(sigResult.original, payload['mask-paths'] || [], connections, { tolerateMissing: modified });
+      } else if (payload.type === 'reveal') {
+        trace('#recursiveVerifyMaskSignatures: found reveal signature, checking revealed values and putting masks back...');
+        reconstructResult = await restoreRevealedMasks(sigResult.original, payload, connections);
       } else if (payload.type === 'modification') {
-        error('#verifyRemoteResource: modification signatures are not supported yet.  That feature needs to be added and rework this to play nicer with tsig by supplying tsig with a function it can use to reconstruct/validate a single mask signature');
-        throw new Error('#verifyRemoteResource: modifiation signature are not supported yet.');
+        // There is nothing to reconstruct for a modification: we cannot get back what it looked like before
+        // the edit, so just move on to the signatures below it.
+        trace('#recursiveVerifyMaskSignatures: found modification signature, signatures below this one are expected to be changed');
+        reconstructResult.details.push('Modification signature: content was edited after any signatures below this one');
       }
     } // If no payload, then there wasn't a signature at all
 
     // Now the original should be reconstructed, if there is still a signature we can ask for that
     // one's result:
-    let nextRound = { trusted: true, valid: true, unchanged: true, match: true, details: [], original: reconstructResult.resource};
+    const nextModified = modified || (payload && payload.type === 'modification');
+    let nextRound = { trusted: true, valid: true, unchanged: true, match: true, signatures: [], masks: [], details: [], original: reconstructResult.resource};
     if (reconstructResult.resource.signatures) {
-      nextRound = await recursiveVerifyMaskSignatures(reconstructResult.resource);
+      nextRound = await recursiveVerifyMaskSignatures(reconstructResult.resource, nextModified, index+1);
     }
 
     // trace('Returning combination of sigResult: ', sigResult, ', nextRound: ', nextRound, ', and reconstructResult: ', reconstructResult);
     // Return a combination of this round, all the mask matches, and the next round's result
     return { 
         trusted: sigResult.trusted   && nextRound.trusted,
-      unchanged: sigResult.unchanged && nextRound.unchanged, 
+      unchanged: (modified || sigResult.unchanged) && nextRound.unchanged, 
           valid: sigResult.valid     && nextRound.valid      && reconstructResult.valid,
           match:                        nextRound.match      && reconstructResult.match,
        original: nextRound.original,
+     signatures: layer.concat(nextRound.signatures),
+          masks: _.map(reconstructResult.masks, m => _.assign(m, { signature: index })).concat(nextRound.masks),
         details: sigResult.details.concat(reconstructResult.details).concat(nextRound.details) 
     };
   }
 
-  const { trusted, unchanged, valid, match, original, details } = await recursiveVerifyMaskSignatures(maskedResource);
+  const { trusted, unchanged, valid, match, original, signatures, masks, details } = await recursiveVerifyMaskSignatures(maskedResource, false, 0);
   const paths = findAllMaskPathsInResource(original);
   details.push('After verifying signatures, these mask paths remained in resource: ', JSON.stringify(paths));
   trace('#verifyRemoteResource: after verifying signatures, these mask paths remain in resource: ', paths);
   if (!paths || paths.length < 1) {
-    return { trusted, unchanged, valid, match, original, details };
+    return { trusted, unchanged, valid, match, expired: _.some(masks, 'expired'), original, signatures, levels: [], unresolved: [], details, report: { signatures, masks } };
   }
-  // Otherwise, we need to reconstruct these and merge:
-  const reconstructResult = await reconstructOriginalFromMaskPaths(original, paths, connection);
+  // Otherwise, we need to reconstruct these and merge, including any masks inside the originals we get back:
+  const reconstructResult = await reconstructNestedMasks(original, connections, { maxDepth });
   return {
     trusted,
     unchanged, 
     match: match && reconstructResult.match,
     valid: valid && reconstructResult.valid,
+    expired: _.some(masks.concat(reconstructResult.masks), 'expired'),
     original: reconstructResult.resource,
+    signatures,
+    levels: reconstructResult.levels,
+    unresolved: reconstructResult.unresolved,
     details: details.concat(reconstructResult.details),
+    report: { signatures, masks: masks.concat(reconstructResult.masks) },
+  };
+}
+
+// Reconstructs every mask in resource, then looks inside the originals that came back for more masks
+// (i.e. an upstream supplier already masked part of it) and reconstructs those too, until there are
+// no masks left or it has gone maxDepth levels deep.  If a mask inside an original points back at 
+// the url of a mask it came from, that is a cycle: it is left in place and valid is false.
+// Returns { valid, match, resource, levels, unresolved, details }
+//   levels: array of { depth, paths, valid, match, cycles } for each round of reconstruction
+//   unresolved: paths of masks still in resource at the end
+async function reconstructNestedMasks(resource, connections, options) {
+  options = options || {};
+  const maxDepth = options.maxDepth || 10;
+  const chains = {}; // path => urls of the masks that were reconstructed to get to this path
+  const skip = {}; // '<path> <url>' for masks already tried or found to be cycles, so they aren't tried again
+  const urlAt = (r,p) => jsonpointer.get(r, p)['trellis-mask'].url;
+  // A mask at this path came from inside the original at the longest path we already reconstructed
+  // that is equal to or above it
+  const chainFor = p => {
+    const parent = _.maxBy(_.filter(_.keys(chains), c => p === c || _.startsWith(p, c+'/')), c => c.length);
+    return parent !== undefined ? chains[parent] : [];
+  };
+  const levels = [];
+  let result = { valid: true, match: true, resource: _.cloneDeep(resource), details: [], masks: [] };
+  for (let depth = 1; depth <= maxDepth; depth++) {
+    const found = _.filter(findAllMaskPathsInResource(result.resource), p => !skip[p+' '+urlAt(result.resource,p)]);
+    if (found.length < 1) break;
+    const urls = _.reduce(found, (acc,p) => _.set(acc, [p], urlAt(result.resource,p)), {});
+    _.each(found, p => { skip[p+' '+urls[p]] = true });
+    const cycles = _.filter(found, p => _.includes(chainFor(p), urls[p]));
+    const paths = _.difference(found, cycles);
+    if (cycles.length > 0) {
+      warn(`#reconstructNestedMasks: found cycles at depth ${depth} for paths `, cycles);
+      result.details.push(`Depth ${depth}: masks at these paths point back at a mask they came from, not reconstructing: ${JSON.stringify(cycles)}`);
+    }
+
+    trace(`#reconstructNestedMasks: reconstructing ${paths.length} masks at depth ${depth}`);
+    const newChains = _.reduce(paths, (acc,p) => _.set(acc, [p], chainFor(p).concat(urls[p])), {});
+    let levelResult = { valid: true, match: true, resource: result.resource, details: [], masks: [] };
+    if (paths.length > 0) {
+      levelResult = await reconstructOriginalFromMaskPaths(result.resource, paths, connections);
+    }
+    _.each(paths, p => {
+      // If the mask is still there, it was not reconstructed so nothing below it came from its url
+      const r = levelResult.resource;
+      const still = jsonpointer.has(r,p) && _.get(jsonpointer.get(r,p), ['trellis-mask', 'url']) === urls[p];
+      if (!still) chains[p] = newChains[p];
+    });
+
+    const ok = cycles.length < 1;
+    levels.push({ depth, paths, valid: levelResult.valid && ok, match: levelResult.match && ok, cycles });
+    result = {
+      valid: result.valid && levelResult.valid && ok,
+      match: result.match && levelResult.match && ok,
+      resource: levelResult.resource,
+      details: result.details.concat(_.map(levelResult.details, d => `Depth ${depth}: ${d}`)),
+      masks: result.masks
+        .concat(_.map(levelResult.masks, m => _.assign(m, { depth })))
+        .concat(_.map(cycles, p => _.assign(maskReport({ path: p, mask: jsonpointer.get(result.resource, p) }), { depth, cycle: true }))),
+    };
+  }
+  const unresolved = findAllMaskPathsInResource(result.resource);
+  if (unresolved.length > 0) {
+    result.details.push(`These mask paths could not be reconstructed: ${JSON.stringify(unresolved)}`);
+  }
+  return _.assign(result, { levels, unresolved });
+}
+
+// Given a masked resource, replace only the masks at the given paths with their originals.  Each
+// original is fetched with verifyRemote and only substituted if it is valid and matches the mask.
+// If you pass privateJWK or keySigner, a 'reveal' signature is added recording which paths were revealed
+// and the masks that used to be there so verifyRemoteResource can put them back.
+// maskedResource: the resource containing masks
+// paths: array of json pointers for the masks to reveal
+// token, connection, connections: same as verifyRemote
+// privateJWK or keySigner, signer, header: same as signResource
+// Returns { valid, match, resource, revealed, details }
+//   valid, match: true only if every path was revealed
+//   revealed: array of the paths that were actually replaced in resource
+async function revealResource({maskedResource, paths, token, connection, connections, privateJWK, keySigner, signer, header}) {
+  connections = connectionResolver({token, connection, connections});
+  const r = _.cloneDeep(maskedResource);
+  const result = await Promise.map(paths, async (p) => {
+    const mask = jsonpointer.has(r,p) ? jsonpointer.get(r,p) : null;
+    if (!isMask(mask)) {
+      trace(`#revealResource: path ${p} is not a mask, cannot reveal it`);
+      return { path: p, valid: false, match: false, mask, details: [ 'No mask found at path' ] };
+    }
+    const { valid, match, original, details } = await verifyRemote({mask,connections});
+    return { path: p, valid, match, original, mask, details };
+  }).reduce((acc,p) => {
+    acc.details.push(`Path ${p.path}: valid = ${p.valid}, match = ${p.match}, details = ${JSON.stringify(p.details)}`);
+    if (p.valid && p.match) {
+      trace(`#revealResource: revealing path ${p.path}`);
+      jsonpointer.set(acc.resource, p.path, p.original);
+      acc.revealed.push(p.path);
+      acc.masks[p.path] = p.mask;
+    }
+    return {
+      valid: acc.valid && p.valid,
+      match: acc.match && p.match,
+      details: acc.details,
+      resource: acc.resource,
+      revealed: acc.revealed,
+      masks: acc.masks,
+    };
+  }, { valid: true, match: true, details: [], resource: r, revealed: [], masks: {} });
+
+  if ((privateJWK || keySigner) && result.revealed.length > 0) {
+    const payload = { 'reveal-paths': result.revealed, 'revealed-masks': result.masks };
+    result.resource = await signWithType({resource: result.resource, privateJWK, keySigner, header, signer, type: 'reveal', payload});
+  }
+  return _.omit(result, 'masks');
+}
+
+// Fetches a masked resource, reveals the paths with revealResource, and posts the partially unmasked
+// copy back as a new resource.  Throws if any of the paths could not be revealed.
+// Returns the id of the new resource.
+async function revealRemoteResourceAsNewResource({url, paths, token, connection, connections, privateJWK, keySigner, signer, header}) {
+  if (!url) {
+    error('#revealRemoteResourceAsNewResource: you must pass a url');
+    throw new Error('#revealRemoteResourceAsNewResource: you must pass a url to reveal');
+  }
+  if (!paths || paths.length < 1) {
+    error('#revealRemoteResourceAsNewResource: you must pass at least one path to reveal in the resource');
+    throw new Error('#revealRemoteResourceAsNewResource: you must pass at least one path to reveal in the resource');
+  }
+  connections = connectionResolver({token, connection, connections});
+  connection = await connections(domainFromURL(url));
+
+  const maskedResource = await connection.get({ path: pathFromURL(url) })
+    .then(r => r.data)
+    .catch(e => { throw contextError(e, url, `Could not get masked resource at url ${url}`) });
+
+  const { valid, match, resource, details } = await revealResource({maskedResource, paths, connections, privateJWK, keySigner, signer, header});
+  if (!valid || !match) {
+    error('#revealRemoteResourceAsNewResource: could not reveal all paths.  Details = ', details);
+    throw new InvalidMaskError(`#revealRemoteResourceAsNewResource: could not reveal all paths.  Details were: ${JSON.stringify(details)}`, { url });
+  }
+
+  return await connection.post({ path: `/resources`, data: resource, headers: { 'content-type': maskedResource._type } })
+                         .then(r => r.headers['content-location'].slice(1)) // get rid of leading slash for _id
+                         .catch(err => { throw contextError(err, domainFromURL(url)+'/resources', 'Could not PUT revealed resource into new resource copy') });
+}
+
+// For a 'reveal' signature layer, check that each revealed value matches the mask that was 
+// replaced, then put that mask back so the signatures below it see what they signed.
+async function restoreRevealedMasks(resource, payload, connections) {
+  const masks = payload['revealed-masks'] || {};
+  return await Promise.map(payload['reveal-paths'] || [], async (p) => {
+    const mask = masks[p];
+    if (!isMask(mask) || !jsonpointer.has(resource,p)) {
+      return { path: p, valid: false, match: false, details: [ 'Reveal signature has no mask for path, or path is not in resource' ], report: maskReport({mask}) };
+    }
+    // Need the nonce to check what was revealed, verifyRemote will get that for us
+    const remote = await verifyRemote({mask,connections});
+    if (!remote.valid) return { path: p, mask, valid: false, match: false, details: remote.details, report: remote.report };
+    const { valid, match, details, report } = verify({mask, original: jsonpointer.get(resource,p), nonce: remote.nonce});
+    return { path: p, mask, valid, match, details, report };
+  }).reduce((acc,p) => {
+    acc.details.push(`Revealed path ${p.path}: valid = ${p.valid}, match = ${p.match}, details = ${JSON.stringify(p.details)}`);
+    acc.masks.push(_.assign({ path: p.path }, p.report));
+    if (p.mask) jsonpointer.set(acc.resource, p.path, p.mask);
+    return {
+      valid: acc.valid && p.valid,
+      match: acc.match && p.match,
+      details: acc.details,
+      masks: acc.masks,
+      resource: acc.resource,
+    };
+  }, { valid: true, match: true, details: [], masks: [], resource });
+}
+
+//----------------------------------------------------------------------------------
+//----------------------------------------------------------------------------------
+// Offline audit bundles
+//----------------------------------------------------------------------------------
+//----------------------------------------------------------------------------------
+
+// Wraps a connection resolver so every GET that succeeds is saved, keyed by full url: JSON into documents, and anything
+// else (i.e. a PDF behind a link mask) into files as { 'content-type', base64 } so its bytes and content-type survive JSON.stringify.
+function recordingConnections(connections, documents, files) {
+  return async function(domain) {
+    const connection = await connections(domain);
+    return {
+      get: ({path}) => connection.get({path}).then(r => {
+        const contentType = (r.headers && r.headers['content-type']) || false;
+        if (Buffer.isBuffer(r.data) || (typeof r.data === 'string' && contentType && !/json/.test(contentType))) {
+          files[domain+path] = { 'content-type': contentType || 'application/octet-stream', base64: Buffer.from(r.data).toString('base64') };
+        } else {
+          // A copy, since reconstructing puts originals into what the GET returned
+          documents[domain+path] = _.cloneDeep(r.data);
+        }
+        return r;
+      }),
+    };
   };
 }
 
+// Function (domain) => connection that only answers GET's from the documents and files in a bundle
+function bundleConnections(bundle) {
+  return function(domain) {
+    return {
+      get: ({path}) => {
+        const url = domain+path;
+        if (url === domainFromURL(bundle.url)+pathFromURL(bundle.url)) return Promise.resolve({ data: bundle.resource, headers: {} });
+        const file = bundle.files && bundle.files[url];
+        if (file) {
+          return Promise.resolve({ data: Buffer.from(file.base64, 'base64'), headers: { 'content-type': file['content-type'] } });
+        }
+        if (!_.has(bundle.documents, url)) {
+          return Promise.reject(new NotFoundError(`Audit bundle has no document for url ${url}`, { url, status: 404 }));
+        }
+        return Promise.resolve({ data: bundle.documents[url], headers: {} });
+      },
+    };
+  };
+}
+
+// Get the public JWK for every signature on the resource: the one in the signature's header, and
+// the one at its jku if there is one and we can get to it.  Returns a JWK set ({ keys: [ ... ] }).
+async function keysForSignatures(signatures) {
+  const keys = await Promise.reduce(signatures || [], async (acc, sig) => {
+    let header = null;
+    try {
+      header = oadacerts.jwksutils.decodeWithoutVerify(sig).header;
+    } catch(e) {
+      warn('#keysForSignatures: could not decode signature, skipping it.  Error was: ', e);
+      return acc;
+    }
+    if (header.jwk) acc.push(header.jwk);
+    if (header.jku) {
+      const jwk = await oadacerts.jwksutils.jwkForSignature(sig, header.jku)
+        .catch(e => { warn(`#keysForSignatures: could not get key from jku ${header.jku}.  Error was: `, e); return null; });
+      if (oadacerts.jwksutils.isJWK(jwk)) acc.push(jwk);
+    }
+    return acc;
+  }, []);
+  return { keys: _.uniqWith(keys, _.isEqual) };
+}
+
+// Verifies the masked resource at url and saves everything it had to fetch along the way
+// (the masked resource, every original and every nonce) along with the public keys for 
+// its signatures into a single JSON object that verifyAuditBundle can check offline.
+// url, token, connection, connections: same as verifyRemoteResource
+// trust: optional, same as verifyRemoteResource.  The trusted list it resolves to is saved in the bundle so an
+//        auditor can see what it was checked against, but verifyAuditBundle never trusts anything by it.
+// Returns the bundle: { 'trellis-audit-bundle': '1.0', url, resource, documents, files, keys, trustedList }
+//   documents: object of url => whatever was at that url (originals and nonces)
+//   files: object of url => { 'content-type', base64 } for anything that isn't JSON, i.e. a PDF behind a link mask
+//   keys: JWK set with the public keys for all the signatures on resource
+//   trustedList: { jkus, jwks }, only if you passed trust (for reference only)
+async function exportAuditBundle({url, token, connection, connections, trust}) {
+  const documents = {};
+  const files = {};
+  connections = recordingConnections(connectionResolver({token, connection, connections}), documents, files);
+  trust = await resolveTrust(trust);
+  const { details } = await verifyRemoteResource({url, connections, trust: trust ? { trustedList: trust.list, keyResolver: trust.keyResolver } : false});
+  trace('#exportAuditBundle: finished verifying, details = ', details);
+
+  const resource = documents[domainFromURL(url)+pathFromURL(url)];
+  if (!resource) {
+    throw new Error(`#exportAuditBundle: could not retrieve masked resource at ${url}`);
+  }
+  delete documents[domainFromURL(url)+pathFromURL(url)];
+  const keys = await keysForSignatures(resource.signatures);
+  const bundle = { 'trellis-audit-bundle': '1.0', url, resource, documents, files, keys };
+  if (trust) bundle.trustedList = trust.list;
+  return bundle;
+}
+
+// Runs verifyRemoteResource entirely from the contents of an audit bundle, without making any requests.
+// Signatures are checked with the public keys in the bundle (a signature without one there is not valid), 
+// and trusted only by the trusted list you pass in trust.trustedList.  The bundle's own trustedList is whatever its
+// maker said to trust, so it is never used, and without a list of your own nothing is trusted.  A key from the bundle
+// never makes a signature trusted by its jku either, since the bundle's maker could put any key there.
+// trust: optional { trustedList, keyResolver }: trustedList has to be the list itself, not a URL.  keyResolver is
+//        asked for a key before the bundle is.
+// Returns the same thing as verifyRemoteResource.
+async function verifyAuditBundle({bundle, trust}) {
+  if (!bundle || bundle['trellis-audit-bundle'] !== '1.0') {
+    trace('#verifyAuditBundle: bundle is missing or has an unknown version');
+    return { trusted: false, unchanged: false, valid: false, match: false, expired: false, original: false, signatures: [], details: [ 'Audit bundle is missing or has an unknown version' ], report: { signatures: [], masks: [] } };
+  }
+  trust = trust || {};
+  const trustedList = trust.trustedList || [];
+  if (typeof trustedList === 'string') {
+    throw new Error('#verifyAuditBundle: trust.trustedList has to be the list itself, not a URL, since a bundle is verified offline');
+  }
+  const keys = { keys: _.filter((bundle.keys && bundle.keys.keys) || [], oadacerts.jwksutils.isJWK) };
+  return verifyRemoteResource({url: bundle.url, connections: bundleConnections(bundle), 
+    trust: { trustedList, keyResolver: trust.keyResolver, keys, offline: true }});
+}
+
 module.exports = {
   // Dealing with individual objects to mask:
   mask,   // sync, only local
   verify, // sync, only local
+  maskLink, // sync, only local
   verifyRemote, // async, fetches outside
+  createDisclosure, // async, only local
+  verifyDisclosure, // async, only local (except trusted list lookups)
 
   // Dealing with entire resources:
   maskResource, // sync, only local
   signResource, // async, only local
   maskRemoteResourceAsNewResource,        // async, talks outside
   maskAndSignRemoteResourceAsNewResource, // async, talks outside
+  findMaskedCopies,                       // async, talks outside
+  maskRemoteResourcesAsNewResources,      // async, talks outside
+  syncMaskedResource,                     // async, talks outside
+  watchMaskedResource,                    // async, talks outside
+  rotateNonce,                            // async, talks outside
   verifyRemoteResource,                   // async, talks outside
+  diffMaskedResources,                    // async, talks outside only if you pass token/connection/connections
+  revealResource,                         // async, talks outside
+  revealRemoteResourceAsNewResource,      // async, talks outside
+  exportAuditBundle,                      // async, talks outside
+  verifyAuditBundle,                      // async, only local (except trusted list lookups)
+
+  // Key signers for signing without the raw private key:
+  jwkKeySigner,  // sync
+  fileKeySigner, // sync, reads the file
+
+  // Mask policies by content type:
+  registerMaskPolicy, // sync
+  loadMaskPolicies,   // sync, reads a file if you pass a filename
+  getMaskPolicy,      // sync
+  clearMaskPolicies,  // sync
+  registerSchema,     // sync
+  getSchema,          // sync
+  clearSchemas,       // sync
+  validateMaskedResource, // sync
+
+  // Errors and request handling:
+  configureRequests,  // sync, timeouts and retries for every request
+  connectionResolver, // sync, returns an async function that talks outside
+  oadaCacheTransport, // async, talks outside
+  httpTransport,      // sync, returns a transport that talks outside
+  memoryTransport,    // sync
+  MaskLinkError,
+  NotFoundError,
+  ForbiddenError,
+  NetworkError,
+  InvalidMaskError,
+  MismatchError,
+  SignatureInvalidError,
 
   // Handy functions:
   isMask,                     // sync
+  isLink,                     // sync
   domainForMask,              // sync
   findAllMaskPathsInResource, // sync
+  expandPaths,                // sync
+  maskKeyForPaths,            // sync
 };
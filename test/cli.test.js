@@ -0,0 +1,180 @@
+/* Copyright 2020 Open Ag Data Alliance
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const child_process = require('child_process');
+const tsig = require('@trellisfw/signatures');
+const _ = require('lodash');
+
+const ml = require('../index.js'); // mask&link library
+
+const bin = path.join(__dirname, '../bin/masklink.js');
+const urlToResource = 'https://trusted.com/resources/1';
+const t = {
+  unmasked: {
+    key1: "not masked string",
+    location: {
+      here: 'we are!!',
+    },
+  },
+};
+
+// Runs the cli with args, resolves to { code, stdout, stderr } instead of rejecting on non-zero exit
+function masklink(args, stdin) {
+  return new Promise(resolve => {
+    const child = child_process.execFile('node', [ bin ].concat(args), (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+    if (stdin) child.stdin.end(stdin);
+  });
+}
+
+describe('masklink command-line tool', function() {
+  let dir = false;
+  let jwkfile = false;
+  let unmaskedfile = false;
+  let trustedlistfile = false;
+  this.timeout(10000);
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'masklink-cli-'));
+    const keys = await tsig.keys.create();
+    jwkfile = path.join(dir, 'private.jwk.json');
+    fs.writeFileSync(jwkfile, JSON.stringify(keys.private));
+    trustedlistfile = path.join(dir, 'trusted-list.json');
+    fs.writeFileSync(trustedlistfile, JSON.stringify({ version: '2', jkus: [], jwks: { keys: [ keys.public ] } }));
+    unmaskedfile = path.join(dir, 'unmasked.json');
+    fs.writeFileSync(unmaskedfile, JSON.stringify(t.unmasked));
+  });
+
+  after(() => {
+    _.each(fs.readdirSync(dir), f => fs.unlinkSync(path.join(dir, f)));
+    fs.rmdirSync(dir);
+  });
+
+  describe('mask', function() {
+    it('should mask a file and print the nonce and masked resource', async function() {
+      const { code, stdout } = await masklink([ 'mask', '--paths', '/location', '--url', urlToResource, unmaskedfile ]);
+      expect(code).to.equal(0);
+      const { nonce, resource } = JSON.parse(stdout);
+      expect(ml.isMask(resource.location)).to.equal(true);
+      expect(ml.verify({mask: resource.location, original: t.unmasked.location, nonce}).match).to.equal(true);
+    });
+
+    it('should sign the masked resource when passed --jwk', async function() {
+      const { stdout } = await masklink([ 'mask', '--paths', '/location', '--url', urlToResource, '--jwk', jwkfile, unmaskedfile ]);
+      const { payload } = await tsig.verify(JSON.parse(stdout).resource);
+      expect(payload['mask-paths']).to.deep.equal([ '/location' ]);
+    });
+
+    it('should mask the paths from --policies for the resource\'s _type', async function() {
+      const _type = 'application/vnd.test.cli.1+json';
+      const typedfile = path.join(dir, 'typed.json');
+      const policiesfile = path.join(dir, 'policies.json');
+      fs.writeFileSync(typedfile, JSON.stringify(_.assign({ _type }, t.unmasked)));
+      fs.writeFileSync(policiesfile, JSON.stringify({ [_type]: { paths: [ '/location' ] } }));
+      const { code, stdout } = await masklink([ 'mask', '--policies', policiesfile, '--url', urlToResource, typedfile ]);
+      expect(code).to.equal(0);
+      const { resource } = JSON.parse(stdout);
+      expect(ml.findAllMaskPathsInResource(resource)).to.deep.equal([ '/location' ]);
+    });
+
+    it('should exit non-zero with neither --paths nor a matching policy', async function() {
+      const { code } = await masklink([ 'mask', '--url', urlToResource, unmaskedfile ]);
+      expect(code).to.equal(2);
+    });
+
+    it('should exit non-zero without --url for a file', async function() {
+      const { code } = await masklink([ 'mask', '--paths', '/location', unmaskedfile ]);
+      expect(code).to.not.equal(0);
+    });
+  });
+
+  describe('sync', function() {
+    it('should exit non-zero when the input is not the URL of a masked copy', async function() {
+      const { code, stderr } = await masklink([ 'sync', unmaskedfile ]);
+      expect(code).to.equal(2);
+      expect(stderr).to.match(/URL of the masked copy/);
+    });
+  });
+
+  describe('rotate', function() {
+    it('should exit non-zero when the input is not the URL of an original', async function() {
+      const { code, stderr } = await masklink([ 'rotate', unmaskedfile ]);
+      expect(code).to.equal(2);
+      expect(stderr).to.match(/URL of the original/);
+    });
+  });
+
+  describe('paths', function() {
+    it('should read a URL through the library\'s connections and report a typed network error', async function() {
+      const { code, stderr } = await masklink([ 'paths', 'https://127.0.0.1:1/resources/1', '--token', 'abc', '--retries', '0', '--timeout', '2000' ]);
+      expect(code).to.equal(2);
+      expect(stderr).to.match(/failed \(ECONNREFUSED\)/);
+    });
+
+    it('should print the mask paths of a resource read from stdin', async function() {
+      const { resource } = ml.maskResource({resource: t.unmasked, urlToResource, paths: [ '/location' ]});
+      const { code, stdout } = await masklink([ 'paths' ], JSON.stringify(resource));
+      expect(code).to.equal(0);
+      expect(JSON.parse(stdout)).to.deep.equal([ '/location' ]);
+    });
+  });
+
+  describe('sign and verify', function() {
+    it('should pass verification for a signed resource', async function() {
+      const signed = await masklink([ 'sign', '--jwk', jwkfile, unmaskedfile ]);
+      expect(signed.code).to.equal(0);
+      const { code, stdout } = await masklink([ 'verify' ], signed.stdout);
+      expect(code).to.equal(0);
+      expect(stdout).to.match(/PASSED/);
+    });
+
+    it('should exit with 1 when a signed resource was changed', async function() {
+      const signed = await masklink([ 'sign', '--jwk', jwkfile, unmaskedfile ]);
+      const changed = JSON.parse(signed.stdout);
+      changed.key1 = 'I CHANGED!!!!!!';
+      const { code, stdout } = await masklink([ 'verify' ], JSON.stringify(changed));
+      expect(code).to.equal(1);
+      expect(stdout).to.match(/FAILED/);
+    });
+
+    it('should print the structured report with --json', async function() {
+      const signed = await masklink([ 'sign', '--jwk', jwkfile, unmaskedfile ]);
+      const { code, stdout } = await masklink([ 'verify', '--json' ], signed.stdout);
+      expect(code).to.equal(0);
+      const { valid, unchanged, report } = JSON.parse(stdout);
+      expect({ valid, unchanged }).to.deep.equal({ valid: true, unchanged: true });
+      expect(report.signatures).to.have.length(1);
+      expect(report.signatures[0].type).to.equal('mask');
+    });
+
+    it('should trust the signer from --trusted-list', async function() {
+      const signed = await masklink([ 'sign', '--jwk', jwkfile, unmaskedfile ]);
+      const { code, stdout } = await masklink([ 'verify', '--json', '--trusted-list', trustedlistfile ], signed.stdout);
+      expect(code).to.equal(0);
+      const { trusted, report } = JSON.parse(stdout);
+      expect(trusted).to.equal(true);
+      expect(report.signatures[0].trustedBy).to.equal('jwk');
+    });
+  });
+
+});
@@ -119,10 +119,171 @@ describe('helper functions', function() {
       const domain = ml.domainForMask(t.mask1.location);
       expect(domain).to.deep.equal('https://trusted.com');
     });
+    it('should keep the port in the domain', function() {
+      const domain = ml.domainForMask({ url: 'http://localhost:3000/resources/1', nonceurl: 'http://localhost:3000/resources/1/_meta/nonce' });
+      expect(domain).to.equal('http://localhost:3000');
+    });
     it('should return false for an invalid mask', function() {
       const domain = ml.domainForMask({});
       expect(domain).to.equal(false);
     });
   });
 
+  describe('#expandPaths', function() {
+    const resource = {
+      _meta: { phone: 'not this one' },
+      phone: '555-5555',
+      lots: [ { location: 'here', id: 1 }, { location: 'there', id: 2 } ],
+      facilities: {
+        f1: { phone: '555-0001', address: { phone: '555-0002' } },
+        f2: { address: 'somewhere' },
+        f3: { phone: { 'trellis-mask': { url: 'https://trusted.com/resources/1/facilities/f3/phone' } } },
+      },
+    };
+
+    it('should pass plain json pointers through as-is', function() {
+      expect(ml.expandPaths(resource, [ '/phone', '/doesnotexist' ])).to.deep.equal([ '/phone', '/doesnotexist' ]);
+    });
+
+    it('should expand * to every key in an array or object', function() {
+      expect(ml.expandPaths(resource, [ '/lots/*/location' ])).to.deep.equal([ '/lots/0/location', '/lots/1/location' ]);
+      expect(ml.expandPaths(resource, [ '/facilities/*/address' ])).to.deep.equal([ '/facilities/f1/address', '/facilities/f2/address' ]);
+    });
+
+    it('should expand ** to any depth, but not into _meta or existing masks', function() {
+      expect(ml.expandPaths(resource, [ '/**/phone' ])).to.deep.equal([
+        '/phone', 
+        '/facilities/f1/phone', 
+        '/facilities/f1/address/phone',
+        '/facilities/f3/phone',
+      ]);
+    });
+
+    it('should expand JSONPath expressions', function() {
+      expect(ml.expandPaths(resource, [ '$.lots[*].location' ])).to.deep.equal([ '/lots/0/location', '/lots/1/location' ]);
+      expect(ml.expandPaths(resource, [ "$['facilities'].f1.phone" ])).to.deep.equal([ '/facilities/f1/phone' ]);
+      expect(ml.expandPaths(resource, [ '$..address' ])).to.deep.equal([ '/facilities/f1/address', '/facilities/f2/address' ]);
+      expect(ml.expandPaths(resource, [ '$.lots[1]' ])).to.deep.equal([ '/lots/1' ]);
+    });
+
+    it('should only keep the outer path when one path is inside another', function() {
+      expect(ml.expandPaths(resource, [ '/facilities/f1', '/facilities/*/phone' ])).to.deep.equal([ '/facilities/f1', '/facilities/f3/phone' ]);
+    });
+
+    it('should never match the whole resource', function() {
+      expect(ml.expandPaths(resource, [ '/**' ])).to.deep.equal([ '/lots', '/facilities' ]);
+      expect(ml.expandPaths(resource, [ '$' ])).to.deep.equal([]);
+      const { resource: masked } = ml.maskResource({resource, urlToResource: 'https://trusted.com/resources/1', paths: [ '/**' ], nonce: 'abcdefg'});
+      expect(_.every([ 'lots', 'facilities' ], k => ml.isMask(masked[k]))).to.equal(true);
+    });
+
+    it('should throw for JSONPath it does not understand', function() {
+      expect(() => ml.expandPaths(resource, [ '$.lots[?(@.id > 1)]' ])).to.throw();
+    });
+  });
+
+
+  describe('#validateMaskedResource', function() {
+    const schema = {
+      type: 'object',
+      required: [ 'key1', 'location' ],
+      properties: {
+        key1: { type: 'string' },
+        key2: { type: 'object' },
+        location: { $ref: '#/definitions/location' },
+      },
+      definitions: {
+        location: {
+          type: 'object',
+          required: [ 'here', 'address' ],
+          properties: {
+            here: { type: 'string' },
+            address: { type: 'object', required: [ 'zip' ], properties: { zip: { type: 'string' } } },
+          },
+        },
+      },
+    };
+    const contentType = 'application/vnd.test.schema.1+json';
+    after(() => ml.clearSchemas());
+
+    it('should accept a mask in place of an object the schema expects and report what it hides', function() {
+      const { valid, errors, hidden } = ml.validateMaskedResource({resource: t.mask1, schema});
+      expect(valid).to.equal(true);
+      expect(errors).to.deep.equal([]);
+      expect(hidden).to.deep.equal([
+        { path: '/location', mask: '/location' },
+        { path: '/location/here', mask: '/location' },
+        { path: '/location/address', mask: '/location' },
+        { path: '/location/address/zip', mask: '/location' },
+      ]);
+    });
+
+    it('should still report errors in the parts that are not masked', function() {
+      const resource = _.assign({}, t.mask1, { key1: 7 });
+      delete resource.location;
+      const { valid, errors } = ml.validateMaskedResource({resource, schema});
+      expect(valid).to.equal(false);
+      expect(errors).to.deep.equal([
+        { path: '', message: 'should have required property location' },
+        { path: '/key1', message: 'should be string, but is integer' },
+      ]);
+    });
+
+    it('should not accept a trellis-mask that is not a valid mask', function() {
+      const { valid, errors } = ml.validateMaskedResource({resource: t.mask1, schema: { properties: { 'keywith/slash': { type: 'object' } } }});
+      expect(valid).to.equal(false);
+      expect(errors).to.deep.equal([ { path: '/keywith~1slash', message: 'trellis-mask is not a valid mask' } ]);
+    });
+
+    it('should use the schema registered for the content type', function() {
+      ml.registerSchema(contentType, schema);
+      expect(ml.getSchema(contentType)).to.equal(schema);
+      expect(ml.validateMaskedResource({resource: _.assign({ _type: contentType }, t.unmasked), contentType}).hidden).to.deep.equal([]);
+      expect(ml.validateMaskedResource({resource: _.assign({ _type: contentType }, t.unmasked)}).errors).to.deep.equal([
+        { path: '/location', message: 'should have required property address' },
+      ]);
+      expect(() => ml.validateMaskedResource({resource: t.mask1, contentType: 'application/vnd.not.there+json'})).to.throw(/no schema/);
+    });
+
+    it('should accept oneOf branches that only differ under a mask', function() {
+      const oneOf = {
+        type: 'object',
+        properties: {
+          location: {
+            oneOf: [
+              { type: 'object', required: [ 'here' ], properties: { here: { type: 'string' } } },
+              { type: 'object', required: [ 'gps' ], properties: { gps: { type: 'array' } } },
+            ],
+          },
+        },
+      };
+      const { valid, errors, hidden } = ml.validateMaskedResource({resource: t.mask1, schema: oneOf});
+      expect(errors).to.deep.equal([]);
+      expect(valid).to.equal(true);
+      expect(hidden).to.deep.equal([]); // here or gps, but it can't say which
+      expect(ml.validateMaskedResource({resource: t.unmasked, schema: oneOf}).valid).to.equal(true);
+      // Without a mask, matching both is still an error
+      const both = _.assign({}, t.unmasked, { location: { here: 'we are!!', gps: [ 1, 2 ] } });
+      expect(ml.validateMaskedResource({resource: both, schema: oneOf}).errors).to.deep.equal([
+        { path: '/location', message: 'should match exactly one schema in oneOf, but matches 2' },
+      ]);
+    });
+
+    it('should not fail not for a schema that only matches because of a mask', function() {
+      const not = { properties: { location: { not: { type: 'object', required: [ 'secret' ] } } } };
+      expect(ml.validateMaskedResource({resource: t.mask1, schema: not}).valid).to.equal(true);
+      const secret = _.assign({}, t.unmasked, { location: { secret: 'shh' } });
+      expect(ml.validateMaskedResource({resource: secret, schema: not}).errors).to.deep.equal([
+        { path: '/location', message: 'should not match the schema in not' },
+      ]);
+    });
+
+    it('should throw for a $ref it cannot resolve', function() {
+      const remote = { properties: { key2: { $ref: 'https://example.com/schemas/key2.json' } } };
+      expect(() => ml.validateMaskedResource({resource: t.unmasked, schema: remote})).to.throw(/cannot resolve \$ref/);
+      const missing = { properties: { key2: { $ref: '#/definitions/nothere' } } };
+      expect(() => ml.validateMaskedResource({resource: t.unmasked, schema: missing})).to.throw(/cannot resolve \$ref/);
+    });
+  });
+
 });
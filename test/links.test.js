@@ -0,0 +1,187 @@
+/* Copyright 2020 Open Ag Data Alliance
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+const nock = require('nock');
+const tsig = require('@trellisfw/signatures');
+const jsonpointer = require('json-pointer');
+const _ = require('lodash');
+
+process.env.NODE_TLS_REJECT_UNAUTHORIZED = 0;
+
+const ml = require('../index.js'); // mask&link library
+
+const domain = 'https://linking.com';
+const url = `${domain}/resources/audit`;
+const _type = 'application/vnd.test.links.1+json';
+// Not really a PDF, but it isn't JSON either
+const pdf = Buffer.from('%PDF-1.4 pretend this is the audit document');
+// Bytes that don't survive being decoded as utf8
+const scan = Buffer.from([ 0x25, 0x50, 0x44, 0x46, 0xff, 0xfe, 0x00, 0x80, 0xc3, 0x28 ]);
+
+// Everything on linking.com lives in here.  Buffers are served as application/pdf, everything else as JSON.
+let store = false;
+// A binary resource can't hold keys, so anything under one (i.e. its _meta) lives in here instead
+let metas = false;
+function storeFor(uri) {
+  const m = uri.match(/^(\/resources\/[^/]+)\/.+$/);
+  return (m && jsonpointer.has(store, m[1]) && Buffer.isBuffer(jsonpointer.get(store, m[1]))) ? metas : store;
+}
+function resetStore() {
+  metas = {};
+  store = {
+    resources: {
+      audit: {
+        _id: 'resources/audit',
+        _rev: 3,
+        _type,
+        _meta: { vdoc: { pdf: { _id: 'resources/thepdf' } } },
+        organization: { name: 'Some Farm' },
+        certificate: { _id: 'resources/thecert', _rev: 7 },
+      },
+      thecert: { _id: 'resources/thecert', _rev: 7, _type, certno: '12345' },
+      thepdf: pdf,
+    },
+  };
+}
+
+describe('Masking links to whole resources and binary attachments', function() {
+  const token = 'thetoken';
+  let keys = false;
+  const signer = { name: 'Test Signer', url: 'https://oatscenter.org' };
+
+  after(async () => {
+    nock.cleanAll()
+    nock.enableNetConnect()
+  });
+
+  before(async () => {
+    keys = await tsig.keys.create(); // { public, private }
+
+    nock(domain)
+      .get(/.*/)
+      .reply(function(uri) {
+        const s = storeFor(uri);
+        if (!jsonpointer.has(s, uri)) return [ 404, '' ];
+        const val = jsonpointer.get(s, uri);
+        if (Buffer.isBuffer(val)) return [ 200, val, { 'content-type': 'application/pdf' } ];
+        return [ 200, typeof val === 'object' ? val : JSON.stringify(val), { 'content-type': 'application/json' } ];
+      })
+      .persist()
+
+      .put(/.*/)
+      .reply(function(uri, requestBody) {
+        let data = requestBody; // nonces come as a bare string
+        try { data = JSON.parse(requestBody) } catch(e) { }
+        const s = storeFor(uri);
+        const old = jsonpointer.has(s, uri) ? jsonpointer.get(s, uri) : false;
+        jsonpointer.set(s, uri, (_.isPlainObject(old) && _.isPlainObject(data)) ? _.merge(old, data) : data);
+        return [ 200, '', { 'content-location': uri } ];
+      })
+      .persist()
+  });
+
+  beforeEach(() => resetStore());
+
+  describe('#isLink', function() {
+    it('should only say links are links', function() {
+      expect(ml.isLink({ _id: 'resources/1' })).to.equal(true);
+      expect(ml.isLink({ _id: 'resources/1', _rev: 2 })).to.equal(true);
+      expect(ml.isLink({ _id: 'resources/1', other: 'stuff' })).to.equal(false);
+      expect(ml.isLink('resources/1')).to.equal(false);
+    });
+  });
+
+  describe('#maskLink and #verify', function() {
+    const nonce = 'thenonce';
+    const linkurl = `${domain}/resources/thecert`;
+    const nonceurl = `${linkurl}/_meta/nonce`;
+
+    it('should commit to the linked resource without its OADA keys', function() {
+      const link = { _id: 'resources/thecert', _rev: 7 };
+      const { mask } = ml.maskLink({link, url: linkurl, content: store.resources.thecert, contentType: _type, nonce, nonceurl});
+      expect(mask['trellis-mask'].link).to.deep.equal({ _rev: 7 });
+      const content = _.assign({}, store.resources.thecert, { _rev: 8 }); // a new rev of the same content still matches
+      expect(ml.verify({mask, nonce, content, contentType: _type}).match).to.equal(true);
+      expect(ml.verify({mask, nonce, content: _.assign({}, content, { certno: '99999' }), contentType: _type}).match).to.equal(false);
+    });
+
+    it('should commit to the bytes of a binary resource', function() {
+      const link = { _id: 'resources/thepdf' };
+      const { mask } = ml.maskLink({link, url: `${domain}/resources/thepdf`, content: pdf, contentType: 'application/pdf', nonce, nonceurl});
+      expect(ml.verify({mask, nonce, content: Buffer.from(pdf), contentType: 'application/pdf'}).match).to.equal(true);
+      expect(ml.verify({mask, nonce, content: Buffer.from('%PDF-1.4 a different document'), contentType: 'application/pdf'}).match).to.equal(false);
+    });
+
+    it('should throw for something that is not a link', function() {
+      expect(() => ml.maskLink({link: { certno: '12345' }, url: linkurl, content: {}, nonce, nonceurl})).to.throw(/link/);
+    });
+  });
+
+  describe('#maskAndSignRemoteResourceAsNewResource with links', function() {
+    it('should put link masks on links and a nonce on each linked resource', async function() {
+      const id = await ml.maskRemoteResourceAsNewResource({url, paths: [ '/certificate', '/_meta/vdoc/pdf' ], token});
+      const copy = jsonpointer.get(store, `/${id}`);
+      expect(ml.isMask(copy.certificate)).to.equal(true);
+      expect(copy.certificate['trellis-mask'].url).to.equal(`${domain}/resources/thecert`);
+      expect(copy.certificate['trellis-mask'].nonceurl).to.equal(`${domain}/resources/thecert/_meta/nonce`);
+      expect(typeof store.resources.thecert._meta.nonce).to.equal('string');
+      expect(ml.isMask(copy._meta.vdoc.pdf)).to.equal(true);
+      expect(typeof metas.resources.thepdf._meta.nonce).to.equal('string');
+    });
+
+    it('should verify the masked links by fetching and hashing the linked resources', async function() {
+      const id = await ml.maskAndSignRemoteResourceAsNewResource({url, paths: [ '/certificate', '/organization' ], token, privateJWK: keys.private, signer});
+      const { valid, match, unchanged, original, report } = await ml.verifyRemoteResource({url: `${domain}/${id}`, token});
+      expect({valid, match, unchanged}).to.deep.equal({ valid: true, match: true, unchanged: true });
+      expect(original.certificate).to.deep.equal({ _id: 'resources/thecert', _rev: 7 });
+      expect(_.map(report.masks, 'error')).to.deep.equal([ false, false ]);
+    });
+
+    it('should hash the actual bytes of a binary resource fetched with a token', async function() {
+      store.resources.thepdf = scan;
+      const id = await ml.maskRemoteResourceAsNewResource({url, paths: [ '/_meta/vdoc/pdf' ], token});
+      const mask = jsonpointer.get(store, `/${id}/_meta/vdoc/pdf`);
+      const nonce = metas.resources.thepdf._meta.nonce;
+      expect(ml.verify({mask, nonce, content: scan, contentType: 'application/pdf'}).match).to.equal(true);
+      expect((await ml.verifyRemote({mask, token})).match).to.equal(true);
+    });
+
+    it('should verify a link mask over a binary resource from an audit bundle', async function() {
+      store.resources.thepdf = scan;
+      const id = await ml.maskRemoteResourceAsNewResource({url, paths: [ '/_meta/vdoc/pdf' ], token});
+      const bundle = JSON.parse(JSON.stringify(await ml.exportAuditBundle({url: `${domain}/${id}`, token})));
+      expect(bundle.files[`${domain}/resources/thepdf`]).to.deep.equal({ 'content-type': 'application/pdf', base64: scan.toString('base64') });
+      const { valid, match, report } = await ml.verifyAuditBundle({bundle});
+      expect({valid, match}).to.deep.equal({ valid: true, match: true });
+      expect(_.map(report.masks, 'path')).to.deep.equal([ '/_meta/vdoc/pdf' ]);
+    });
+
+    it('should not match if a linked binary resource changes after masking', async function() {
+      const id = await ml.maskRemoteResourceAsNewResource({url, paths: [ '/_meta/vdoc/pdf' ], token});
+      const mask = jsonpointer.get(store, `/${id}/_meta/vdoc/pdf`);
+      expect((await ml.verifyRemote({mask, token})).match).to.equal(true);
+      store.resources.thepdf = Buffer.from('%PDF-1.4 somebody swapped the document');
+      const { match, original } = await ml.verifyRemote({mask, token});
+      expect(match).to.equal(false);
+      expect(original).to.deep.equal({ _id: 'resources/thepdf' });
+    });
+  });
+});
@@ -25,6 +25,9 @@ const nock = require('nock');
 const tsig = require('@trellisfw/signatures');
 const oada = require('@oada/oada-cache');
 const _ = require('lodash');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 process.env.NODE_TLS_REJECT_UNAUTHORIZED = 0;
 
@@ -79,6 +82,8 @@ let postedResourceid = false;
 let putResourceid = false;
 let putResource = false;
 let putNonce = false;
+let batchInProgress = 0;
+let batchMaxInProgress = 0;
 
 function clearPutPost() {
   postedResource = false;
@@ -218,6 +223,101 @@ describe('Whole resource functions, only masks (not signatures)', function() {
       .persist()
 
 
+    //-----------------------------
+    // For maskRemoteResourceAsNewResource with perPathNonce: key2 already has a nonce, location does not
+    nock('https://pathnonces.com')
+      .get('/resources/1')
+      .reply(200, t.unmasked)
+      .persist()
+
+      .get('/resources/1/_meta/nonces/key2')
+      .reply(200, JSON.stringify('existingkey2nonce'))
+      .persist()
+
+      .get('/resources/1/_meta/nonces/location')
+      .reply(404,'')
+      .persist()
+
+      .put('/resources/1/_meta/nonces/location')
+      .reply(function(uri, requestBody) {
+        putNonce = JSON.parse(requestBody);
+        return [ 200, '' ];
+      })
+      .persist()
+
+    nock('https://pathnonces.com')
+      .filteringPath(path => { 
+        if (path.match(/^\/resources\/[^\/]+$/)) {
+          putResourceid = path.slice(1);
+          return '/doit';
+        }
+        return false;
+      }).put('/doit')
+      .reply(function(uri, requestBody) {
+        putResource = JSON.parse(requestBody);
+        return [ 200, '', { 'content-location': `/${putResourceid}` } ];
+      })
+      .persist()
+
+    //-----------------------------
+    // For maskRemoteResourcesAsNewResources: slow originals so we can count how many are in progress at once
+    nock('https://batch.com')
+      .get(/^\/resources\/item\d+$/)
+      .reply(function(uri, requestBody, cb) {
+        batchInProgress++;
+        batchMaxInProgress = Math.max(batchMaxInProgress, batchInProgress);
+        setTimeout(() => {
+          batchInProgress--;
+          cb(null, [ 200, t.unmasked ]);
+        }, 20);
+      })
+      .persist()
+
+      .get(/^\/resources\/item\d+\/_meta\/nonce$/)
+      .reply(200, JSON.stringify(t.unmasked._meta.nonce))
+      .persist()
+
+      .get('/resources/missing')
+      .reply(404, '')
+      .persist()
+
+      .get('/resources/list')
+      .reply(200, {
+        _id: 'resources/list', _rev: 3, _type: 'application/vnd.test.list.1+json',
+        a: { _id: 'resources/item1', _rev: 1 },
+        b: { _id: 'resources/missing', _rev: 1 },
+        c: { _id: 'resources/item2', _rev: 1 },
+      })
+      .persist()
+
+      .put(/^\/resources\/[^\/]+$/)
+      .reply(function(uri, requestBody) {
+        return [ 200, '', { 'content-location': uri } ];
+      })
+      .persist()
+
+    //-----------------------------
+    // For typed errors: the original or its nonce is forbidden
+    nock('https://forbidden.com')
+      .get('/resources/original')
+      .reply(403, '')
+      .persist()
+
+      .get('/resources/1')
+      .reply(200, t.unmasked)
+      .persist()
+
+      .get('/resources/1/_meta/nonce')
+      .reply(403, '')
+      .persist()
+
+      .put('/resources/1/_meta/nonce')
+      .reply(function(uri, requestBody) {
+        putNonce = requestBody;
+        return [ 200, '' ];
+      })
+      .persist()
+
     connection = await oada.connect({ domain: 'https://trusted.com', token, cache: false, websocket: false });
   
   });
@@ -261,6 +361,57 @@ describe('Whole resource functions, only masks (not signatures)', function() {
       const result = ml.maskResource({resource,urlToResource,paths,nonce});
       expect(result.nonceurl).to.equal(urlToResource+'/_meta/nonce');
     });
+
+    it('should expand wildcard paths before masking', function() {
+      const resource = _.cloneDeep(t.unmasked);
+      resource.lots = [ { location: 'a', id: 1 }, { location: 'b', id: 2 } ];
+      const urlToResource = t.urlToResource;
+      const result = ml.maskResource({resource,urlToResource,paths: [ '/lots/*/location' ]});
+      expect(ml.findAllMaskPathsInResource(result.resource.lots)).to.deep.equal([ '/0/location', '/1/location' ]);
+      expect(result.resource.lots[1].location['trellis-mask'].url).to.equal(urlToResource+'/lots/1/location');
+    });
+
+    it('should use the hash algorithm that is passed for every path', function() {
+      const resource = _.cloneDeep(t.unmasked);
+      const urlToResource = t.urlToResource;
+      const paths = [ '/location', '/key2' ];
+      const result = ml.maskResource({resource,urlToResource,paths,alg: 'SHA384'});
+      expect(result.resource.location['trellis-mask'].hashinfo.alg).to.equal('SHA384');
+      expect(result.resource.key2['trellis-mask'].hashinfo.alg).to.equal('SHA384');
+    });
+  });
+
+  describe('#maskResource with perPathNonce', function() {
+    it('should use a different nonce and nonceurl for each path', function() {
+      const resource = _.cloneDeep(t.unmasked);
+      const urlToResource = t.urlToResource;
+      const paths = [ '/location', '/key2' ];
+      const result = ml.maskResource({resource,urlToResource,paths,perPathNonce: true});
+      expect(result.nonces['/location'].nonceurl).to.equal(urlToResource+'/_meta/nonces/location');
+      expect(result.nonces['/key2'].nonceurl).to.equal(urlToResource+'/_meta/nonces/key2');
+      expect(result.nonces['/location'].nonce).to.not.equal(result.nonces['/key2'].nonce);
+      expect(result.resource.location['trellis-mask'].nonceurl).to.equal(result.nonces['/location'].nonceurl);
+      expect(result.resource.key2['trellis-mask'].nonceurl).to.equal(result.nonces['/key2'].nonceurl);
+    });
+
+    it('should produce masks that verify only with their own nonce', function() {
+      const resource = _.cloneDeep(t.unmasked);
+      const urlToResource = t.urlToResource;
+      const paths = [ '/location', '/key2' ];
+      const { nonces, resource: masked } = ml.maskResource({resource,urlToResource,paths,perPathNonce: true});
+      expect(ml.verify({mask: masked.location, original: t.unmasked.location, nonce: nonces['/location'].nonce}).match).to.equal(true);
+      expect(ml.verify({mask: masked.key2, original: t.unmasked.key2, nonce: nonces['/key2'].nonce}).match).to.equal(true);
+      expect(ml.verify({mask: masked.key2, original: t.unmasked.key2, nonce: nonces['/location'].nonce}).match).to.equal(false);
+    });
+
+    it('should use the nonces that are passed', function() {
+      const resource = _.cloneDeep(t.unmasked);
+      const urlToResource = t.urlToResource;
+      const paths = [ '/location' ];
+      const nonces = { '/location': 'mylocationnonce' };
+      const result = ml.maskResource({resource,urlToResource,paths,perPathNonce: true,nonces});
+      expect(result.nonces['/location'].nonce).to.equal('mylocationnonce');
+    });
   });
 
   describe('#maskRemoteResourceAsNewResource', function() {
@@ -336,6 +487,52 @@ describe('Whole resource functions, only masks (not signatures)', function() {
       expect(putResource.location).to.deep.equal(t.mask1.location);
     });
 
+    it('should create or re-use a nonce for each path when perPathNonce is true', async function() {
+      const url = 'https://pathnonces.com/resources/1';
+      const paths = [ '/location', '/key2' ];
+      const token = 'cannotusenormalconnection_becausedomainisdifferent';
+      await ml.maskRemoteResourceAsNewResource({url,paths,token,perPathNonce: true});
+      expect(putNonce).to.be.a('string');
+      expect(putNonce).to.have.length.above(0);
+      expect(putResource.location['trellis-mask'].nonceurl).to.equal(url+'/_meta/nonces/location');
+      expect(putResource.key2['trellis-mask'].nonceurl).to.equal(url+'/_meta/nonces/key2');
+      expect(ml.verify({mask: putResource.location, original: t.unmasked.location, nonce: putNonce}).match).to.equal(true);
+      expect(ml.verify({mask: putResource.key2, original: t.unmasked.key2, nonce: 'existingkey2nonce'}).match).to.equal(true);
+    });
+
+    it('should throw a ForbiddenError when it is not allowed to get the original', async function() {
+      const url = 'https://forbidden.com/resources/original';
+      const token = 'cannotusenormalconnection_becausedomainisdifferent';
+      const err = await ml.maskRemoteResourceAsNewResource({url, paths: [ '/location' ], token}).catch(e => e);
+      expect(err).to.be.an.instanceof(ml.ForbiddenError);
+      expect(err).to.include({ code: 'forbidden', status: 403, url });
+    });
+
+    it('should not replace a nonce that it is not allowed to read', async function() {
+      const url = 'https://forbidden.com/resources/1';
+      const token = 'cannotusenormalconnection_becausedomainisdifferent';
+      const err = await ml.maskRemoteResourceAsNewResource({url, paths: [ '/location' ], token}).catch(e => e);
+      expect(err.code).to.equal('forbidden');
+      expect(putNonce).to.equal(false);
+    });
+
+    it('should throw for an unsupported hash algorithm', async function() {
+      const url = t.urlToResource;
+      const paths = [ '/location' ];
+      await expect(ml.maskRemoteResourceAsNewResource({url, paths, connection, alg: 'SHA1'})).to.eventually.be.rejected;
+    });
+
+    it('should mask paths matched by a JSONPath expression', async function() {
+      const url = t.urlToResource;
+      const newResourceid = await ml.maskRemoteResourceAsNewResource({url, paths: [ '$..location' ], connection});
+      expect(putResource.location).to.deep.equal(t.mask1.location);
+    });
+
+    it('should throw when the paths do not match anything', async function() {
+      const url = t.urlToResource;
+      await expect(ml.maskRemoteResourceAsNewResource({url, paths: [ '/**/nothinghere' ], connection})).to.eventually.be.rejected;
+    });
+
     it('should call the signature callback', async function()  {
       const url = t.urlToResource;
       const paths = [ '/location' ];
@@ -351,4 +548,180 @@ describe('Whole resource functions, only masks (not signatures)', function() {
 
   });
 
+  describe('#maskRemoteResourcesAsNewResources', function() {
+    beforeEach(() => {
+      batchInProgress = 0;
+      batchMaxInProgress = 0;
+    });
+
+    it('should throw when neither urls nor listurl is passed', async function() {
+      await expect(ml.maskRemoteResourcesAsNewResources({paths: [ '/location' ], token})).to.eventually.be.rejected;
+    });
+
+    it('should mask every url and return the new ids in the same order', async function() {
+      const urls = _.map(_.range(1,6), i => `https://batch.com/resources/item${i}`);
+      const { succeeded, failed, results } = await ml.maskRemoteResourcesAsNewResources({urls, paths: [ '/location' ], token});
+      expect(succeeded).to.equal(5);
+      expect(failed).to.equal(0);
+      expect(_.map(results, 'url')).to.deep.equal(urls);
+      _.each(results, r => expect(r.newResourceid).to.match(/^resources\//));
+    });
+
+    it('should not have more than concurrency resources in progress at once', async function() {
+      const urls = _.map(_.range(1,7), i => `https://batch.com/resources/item${i}`);
+      await ml.maskRemoteResourcesAsNewResources({urls, paths: [ '/location' ], token, concurrency: 2});
+      expect(batchMaxInProgress).to.be.above(0);
+      expect(batchMaxInProgress).to.be.at.most(2);
+    });
+
+    it('should only make one connection for each domain', async function() {
+      const urls = _.map(_.range(1,4), i => `https://batch.com/resources/item${i}`);
+      let lookups = 0;
+      const connections = domain => { lookups++; return token; };
+      const { succeeded } = await ml.maskRemoteResourcesAsNewResources({urls, paths: [ '/location' ], connections});
+      expect(succeeded).to.equal(3);
+      expect(lookups).to.equal(1);
+    });
+
+    it('should connect to a domain again after a failed connect', async function() {
+      const urls = _.map(_.range(1,4), i => `https://batch.com/resources/item${i}`);
+      let lookups = 0;
+      const connections = domain => {
+        if (++lookups === 1) throw new Error('batch.com is down for a moment');
+        return token;
+      };
+      const { succeeded, results } = await ml.maskRemoteResourcesAsNewResources({urls, paths: [ '/location' ], connections, concurrency: 1});
+      expect(_.map(results, 'success')).to.deep.equal([ false, true, true ]);
+      expect(succeeded).to.equal(2);
+      expect(lookups).to.equal(2);
+    });
+
+    it('should report a failed resource and keep going with the rest', async function() {
+      const urls = [ 'https://batch.com/resources/item1', 'https://batch.com/resources/missing', 'https://batch.com/resources/item2' ];
+      const { succeeded, failed, results } = await ml.maskRemoteResourcesAsNewResources({urls, paths: [ '/location' ], token});
+      expect(succeeded).to.equal(2);
+      expect(failed).to.equal(1);
+      expect(_.map(results, 'success')).to.deep.equal([ true, false, true ]);
+      expect(results[1].error).to.be.a('string');
+      expect(_.pick(results[1], [ 'code', 'status' ])).to.deep.equal({ code: 'not-found', status: 404 });
+    });
+
+    it('should mask every link in a list resource when passed listurl', async function() {
+      const listurl = 'https://batch.com/resources/list';
+      const { succeeded, failed, results } = await ml.maskRemoteResourcesAsNewResources({listurl, paths: [ '/location' ], token});
+      expect(_.map(results, 'url')).to.deep.equal([
+        'https://batch.com/resources/item1',
+        'https://batch.com/resources/missing',
+        'https://batch.com/resources/item2',
+      ]);
+      expect(succeeded).to.equal(2);
+      expect(failed).to.equal(1);
+    });
+  });
+
+  describe('mask policies', function() {
+    beforeEach(() => {
+      clearPutPost();
+      ml.clearMaskPolicies();
+    });
+    after(() => ml.clearMaskPolicies());
+
+    it('should mask the paths from the policy for the original\'s _type when no paths are passed', async function() {
+      ml.registerMaskPolicy(t.unmasked._type, { paths: [ '/location' ] });
+      const url = t.urlToResource;
+      const newResourceid = await ml.maskRemoteResourceAsNewResource({url, connection});
+      expect(newResourceid).to.equal(putResourceid);
+      expect(putResource.location).to.deep.equal(t.mask1.location);
+    });
+
+    it('should use the paths that are passed instead of the policy', async function() {
+      ml.registerMaskPolicy(t.unmasked._type, { paths: [ '/key2' ] });
+      const url = t.urlToResource;
+      await ml.maskRemoteResourceAsNewResource({url, paths: [ '/location' ], connection});
+      expect(putResource.location).to.deep.equal(t.mask1.location);
+      expect(ml.isMask(putResource.key2)).to.equal(false);
+    });
+
+    it('should throw when no paths are passed and there is no policy for the _type', async function() {
+      const url = t.urlToResource;
+      await expect(ml.maskRemoteResourceAsNewResource({url, connection}))
+        .to.eventually.be.rejectedWith(/no mask policy/);
+      expect(putResource).to.equal(false);
+    });
+
+    it('should throw when registering a policy without paths', function() {
+      expect(() => ml.registerMaskPolicy(t.unmasked._type, { paths: [] })).to.throw();
+      expect(() => ml.registerMaskPolicy('', { paths: [ '/location' ] })).to.throw();
+    });
+
+    it('should load policies from a JSON file', function() {
+      const filename = path.join(os.tmpdir(), `masklink-policies-${process.pid}.json`);
+      const policies = { 
+        [t.unmasked._type]: { paths: [ '/location' ], signer: { name: 'Test Signer', url: 'https://oatscenter.org' } },
+      };
+      fs.writeFileSync(filename, JSON.stringify(policies));
+      try {
+        ml.loadMaskPolicies(filename);
+      } finally {
+        fs.unlinkSync(filename);
+      }
+      expect(ml.getMaskPolicy(t.unmasked._type)).to.deep.equal(policies[t.unmasked._type]);
+      expect(ml.getMaskPolicy('application/vnd.not.there+json')).to.equal(false);
+    });
+
+    it('should not register any policies from a file with a bad policy in it', function() {
+      expect(() => ml.loadMaskPolicies({
+        [t.unmasked._type]: { paths: [ '/location' ] },
+        'application/vnd.bad+json': { },
+      })).to.throw();
+      expect(ml.getMaskPolicy(t.unmasked._type)).to.equal(false);
+    });
+  });
+
+  describe('#diffMaskedResources', function() {
+    const nonce = t.unmasked._meta.nonce;
+    const masked = (resource, paths) => ml.maskResource({resource, urlToResource, paths, nonce}).resource;
+    const older = () => masked(t.unmasked, [ '/location' ]);
+
+    it('should say two copies of the same masked resource are the same', async function() {
+      const result = await ml.diffMaskedResources(older(), older());
+      expect(result).to.deep.equal({ same: true, added: [], removed: [], changed: [], fields: [], signatures: { added: [], removed: [] } });
+    });
+
+    it('should report added, removed, and changed masks and plain fields', async function() {
+      const a = masked(t.unmasked, [ '/location', '/key1' ]);
+      const newer = _.merge(_.cloneDeep(t.unmasked), { location: { here: 'somewhere else' }, key3: 'new field' });
+      newer.key1 = 'a changed string';
+      const b = masked(newer, [ '/location', '/key2' ]);
+      b._rev = 99; // OADA keys don't count
+
+      const { same, added, removed, changed, fields, resolved } = await ml.diffMaskedResources(a, b);
+      expect(same).to.equal(false);
+      expect(added).to.deep.equal([ '/key2' ]);
+      expect(removed).to.deep.equal([ '/key1' ]);
+      expect(_.map(changed, 'path')).to.deep.equal([ '/location' ]);
+      expect(changed[0].from).to.deep.equal(a.location['trellis-mask']);
+      expect(changed[0].to).to.deep.equal(b.location['trellis-mask']);
+      expect(fields).to.deep.equal([ { path: '/key3', from: undefined, to: 'new field' } ]);
+      expect(resolved).to.equal(undefined);
+    });
+
+    it('should report signature changes apart from the plain fields', async function() {
+      const a = _.assign(older(), { signatures: [ 'jws.one', 'jws.two' ] });
+      const b = _.assign(older(), { signatures: [ 'jws.one', 'jws.three' ], _meta: { changed: true } });
+      const { same, fields, signatures } = await ml.diffMaskedResources(a, b);
+      expect(same).to.equal(false);
+      expect(fields).to.deep.equal([]);
+      expect(signatures).to.deep.equal({ added: [ 'jws.three' ], removed: [ 'jws.two' ] });
+    });
+
+    it('should fetch the originals behind the masks that changed when passed a connection', async function() {
+      const b = masked(_.merge(_.cloneDeep(t.unmasked), { location: { here: 'somewhere else' } }), [ '/location' ]);
+      const { changed, resolved } = await ml.diffMaskedResources(older(), b, { connection });
+      expect(_.map(changed, 'path')).to.deep.equal([ '/location' ]);
+      // trusted.com still has the old location, so only the older mask matches it
+      expect(resolved).to.deep.equal({ '/location': { from: t.unmasked.location, to: false } });
+    });
+  });
+
 });
@@ -25,10 +25,14 @@ const nock = require('nock');
 const tsig = require('@trellisfw/signatures');
 const oada = require('@oada/oada-cache');
 const _ = require('lodash');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 process.env.NODE_TLS_REJECT_UNAUTHORIZED = 0;
 
 const ml = require('../index.js'); // mask&link library
+const { createMemoryOADA } = require('../testing.js');
 
 function tmpMakeMeAHash(original, nonce) {
   const o = {
@@ -99,6 +103,9 @@ let t = {
   transcriptionSignedSuccessiveMultiMask: {},
   transcriptionSignedSuccessiveMultiMaskOutOfOrder: {},
   splitTranscriptionAndMaskSignatures: {},
+  maskThenModification: {},
+  maskModificationMask: {},
+  crossCloudMasks: {},
 };
 t.mask1.location['trellis-mask'].hashinfo = tmpMakeMeAHash(t.unmasked.location, t.unmasked._meta.nonce);
 t.mask2.location['trellis-mask'].hashinfo = tmpMakeMeAHash(t.unmasked.location, t.unmasked._meta.nonce);
@@ -187,6 +194,33 @@ describe('Whole resource functions, masks AND signatures)', function() {
     s = await masksign(s, t.mask2, ['key2']);
     t.splitTranscriptionAndMaskSignatures = s;
 
+    // Mask, then edit a non-masked key and sign it as a modification
+    s = await masksign(t.unmasked, t.mask2, ['location']);
+    s = _.cloneDeep(s);
+    s.key1 = 'modified after masking';
+    s = await tsig.sign(s, keys.private, { signer, type: 'modification' });
+    t.maskThenModification = s;
+
+    // Mask, modify, then mask again
+    s = await masksign(t.unmasked, t.mask2, ['location']);
+    s = _.cloneDeep(s);
+    s.key1 = 'modified after masking';
+    s = await tsig.sign(s, keys.private, { signer, type: 'modification' });
+    s = await masksign(s, t.mask2, ['key2']);
+    t.maskModificationMask = s;
+
+    // Mask two keys where the originals live on a different cloud than the masked copy
+    s = _.cloneDeep(t.unmasked);
+    _.each([ 'location', 'key2' ], k => {
+      s[k] = ml.mask({
+        original: t.unmasked[k], 
+        nonce: t.unmasked._meta.nonce, 
+        url: `https://copacker.com/resources/2/${k}`, 
+        nonceurl: 'https://copacker.com/resources/2/_meta/nonce',
+      }).mask;
+    });
+    t.crossCloudMasks = await tsig.sign(s, keys.private, { signer, type: 'mask', payload: { 'mask-paths': [ '/location', '/key2' ] } });
+
 
     // Setup the nock interceptors
     function makeResourceNock(domain,tkey,maskkeys) {
@@ -235,8 +269,37 @@ describe('Whole resource functions, masks AND signatures)', function() {
     makeResourceNock('https://trusted.com', 'transcriptionSignedSuccessiveMultiMask', []);
     makeResourceNock('https://trusted.com', 'transcriptionSignedSuccessiveMultiMaskOutOfOrder', []);
     makeResourceNock('https://trusted.com', 'splitTranscriptionAndMaskSignatures', []);
+    makeResourceNock('https://trusted.com', 'maskThenModification', []);
+    makeResourceNock('https://trusted.com', 'maskModificationMask', []);
+    makeResourceNock('https://trusted.com', 'crossCloudMasks', []);
+    t['2'] = t.unmasked;
+    makeResourceNock('https://copacker.com', '2', [ 'location', 'key2' ]);
      
 
+    // A supplier masked the street in their location, and then that location was masked again downstream:
+    const supplierLocation = { street: '1 Main St', city: 'Nowhere' };
+    const midLocation = _.cloneDeep(supplierLocation);
+    midLocation.street = ml.mask({ original: supplierLocation.street, nonce: 'n4', 
+      url: 'https://nested.com/resources/4/location/street', nonceurl: 'https://nested.com/resources/4/_meta/nonce' }).mask;
+    t.nestedMasks = _.cloneDeep(t.unmasked);
+    t.nestedMasks.location = ml.mask({ original: midLocation, nonce: 'n3', 
+      url: 'https://nested.com/resources/3/location', nonceurl: 'https://nested.com/resources/3/_meta/nonce' }).mask;
+    t.nestedExpected = _.cloneDeep(t.unmasked);
+    t.nestedExpected.location = supplierLocation;
+    // An original that has a mask inside it pointing right back at itself:
+    const loopurl = 'https://nested.com/resources/5/loop';
+    const loop = { inner: ml.mask({ original: 'whatever', nonce: 'n5', url: loopurl, nonceurl: 'https://nested.com/resources/5/_meta/nonce' }).mask };
+    t.cyclicMasks = { loop: ml.mask({ original: loop, nonce: 'n5', url: loopurl, nonceurl: 'https://nested.com/resources/5/_meta/nonce' }).mask };
+    nock('https://nested.com')
+      .get('/resources/nestedMasks').reply(200, t.nestedMasks).persist()
+      .get('/resources/cyclicMasks').reply(200, t.cyclicMasks).persist()
+      .get('/resources/3/location').reply(200, midLocation).persist()
+      .get('/resources/3/_meta/nonce').reply(200, JSON.stringify('n3')).persist()
+      .get('/resources/4/location/street').reply(200, JSON.stringify(supplierLocation.street)).persist()
+      .get('/resources/4/_meta/nonce').reply(200, JSON.stringify('n4')).persist()
+      .get('/resources/5/loop').reply(200, loop).persist()
+      .get('/resources/5/_meta/nonce').reply(200, JSON.stringify('n5')).persist()
+
     connection = await oada.connect({ domain: 'https://trusted.com', token, cache: false, websocket: false });
   
   });
@@ -258,6 +321,79 @@ describe('Whole resource functions, masks AND signatures)', function() {
         unchanged: true
       });
     });
+
+    it('should sign with a keySigner that never hands over the private key', async function() {
+      const jku = 'https://keys.example.com/jwks.json';
+      // Stands in for a separate signing process: only the public key and signatures come out of it
+      const signingProcess = ml.jwkKeySigner(keys.private);
+      let signed_bytes = false;
+      const keySigner = {
+        publicJWK: keys.public,
+        jku,
+        sign: async (bytes) => { signed_bytes = bytes; return await signingProcess.sign(bytes) },
+      };
+      const signed = await ml.signResource({resource: t.mask1, keySigner, signer, paths: [ '/location' ]});
+      expect(Buffer.isBuffer(signed_bytes)).to.equal(true);
+      const { valid, unchanged, payload, header } = await tsig.verify(signed);
+      expect({valid, unchanged}).to.deep.equal({ valid: true, unchanged: true });
+      expect(payload['mask-paths']).to.deep.equal([ '/location' ]);
+      expect(payload.signer).to.deep.equal(signer);
+      expect(_.pick(header, [ 'kid', 'jku', 'alg' ])).to.deep.equal({ kid: keys.public.kid, jku, alg: 'RS256' });
+    });
+
+    it('should sign with a key signer read from a file', async function() {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'masklink-keysigner-')), 'private.jwk.json');
+      fs.writeFileSync(file, JSON.stringify(keys.private));
+      try {
+        const signed = await ml.signResource({resource: t.mask1, keySigner: ml.fileKeySigner(file), signer, paths: [ '/location' ]});
+        const { valid, unchanged } = await tsig.verify(signed);
+        expect({valid, unchanged}).to.deep.equal({ valid: true, unchanged: true });
+      } finally {
+        fs.unlinkSync(file);
+        fs.rmdirSync(path.dirname(file));
+      }
+    });
+
+    it('should make signatures tsig verifies, with the same payload as tsig.sign, for every kind of key and signer', async function() {
+      const ecKey = (await tsig.jose.JWK.createKey('EC', 'P-384', { kid: 'the-ec-key' })).toJSON(true);
+      const psKey = _.assign({}, keys.private, { alg: 'PS256' });
+      const fromTsig = (await tsig.verify(await tsig.sign(t.mask1, keys.private, { signer, type: 'mask', payload: { 'mask-paths': [ '/location' ] } }))).payload;
+      const cases = [
+        { keys: { privateJWK: keys.private }, alg: 'RS256' },
+        { keys: { keySigner: ml.jwkKeySigner(keys.private) }, alg: 'RS256' },
+        { keys: { privateJWK: ecKey }, alg: 'ES384' },
+        { keys: { keySigner: ml.jwkKeySigner(ecKey) }, alg: 'ES384' },
+        { keys: { privateJWK: psKey }, alg: 'PS256' },
+        { keys: { keySigner: ml.jwkKeySigner(psKey) }, alg: 'PS256' },
+      ];
+      await Promise.each(cases, async c => {
+        const signed = await ml.signResource(_.assign({resource: t.mask1, signer, paths: [ '/location' ]}, c.keys));
+        const { valid, unchanged, payload, header } = await tsig.verify(signed);
+        expect({valid, unchanged, alg: header.alg}).to.deep.equal({ valid: true, unchanged: true, alg: c.alg });
+        expect(_.keys(payload).sort()).to.deep.equal(_.keys(fromTsig).sort());
+        expect(_.omit(payload, [ 'iat' ])).to.deep.equal(_.omit(fromTsig, [ 'iat' ]));
+      });
+    });
+
+    it('should refuse keys it cannot sign with and algs that do not go with the key', async function() {
+      expect(() => ml.jwkKeySigner({ kty: 'oct', k: 'c2VjcmV0' })).to.throw(/RSA and EC/);
+      expect(() => ml.jwkKeySigner(_.assign({}, keys.private, { alg: 'ES256' }))).to.throw(/ES256/);
+      await expect(ml.signResource({resource: t.mask1, privateJWK: _.assign({}, keys.private, { alg: 'HS256' }), signer})).to.eventually.be.rejectedWith(/HS256/);
+      await expect(ml.signResource({resource: t.mask1, keySigner: { publicJWK: keys.public, alg: 'ES256', sign: async () => Buffer.from('x') }, signer}))
+        .to.eventually.be.rejectedWith(/ES256/);
+    });
+
+    it('should throw a SignatureInvalidError for a keySigner that signs with a different key', async function() {
+      const otherKeys = await tsig.keys.create();
+      const keySigner = { publicJWK: keys.public, sign: ml.jwkKeySigner(otherKeys.private).sign };
+      const signing = ml.signResource({resource: t.mask1, keySigner, signer});
+      await expect(signing).to.eventually.be.rejectedWith(ml.SignatureInvalidError);
+      await expect(signing).to.eventually.be.rejected.and.have.property('code', 'signature-invalid');
+    });
+
+    it('should throw for a keySigner without a sign function', async function() {
+      await expect(ml.signResource({resource: t.mask1, keySigner: { publicJWK: keys.public }, signer})).to.eventually.be.rejectedWith(/sign/);
+    });
   });
 
   describe('#maskAndSignRemoteResourceAsNewResource', function() {
@@ -275,6 +411,54 @@ describe('Whole resource functions, masks AND signatures)', function() {
       expect(putResource.signatures).to.be.an('array');
     });
 
+    it('should sign with a keySigner instead of privateJWK', async function() {
+      const url = t.urlToResource;
+      const keySigner = ml.jwkKeySigner(keys.private);
+      await ml.maskAndSignRemoteResourceAsNewResource({url,keySigner,signer,paths: [ '/location' ],connection});
+      const { valid, payload } = await tsig.verify(putResource);
+      expect(valid).to.equal(true);
+      expect(payload['mask-paths']).to.deep.equal([ '/location' ]);
+    });
+
+    it('should put created, expires, and purpose in every mask, covered by the signature', async function() {
+      const url = t.urlToResource;
+      const purpose = 'Shared with Buyer Co. under the 2000 supply agreement';
+      await ml.maskAndSignRemoteResourceAsNewResource({url,privateJWK: keys.private,signer,paths: [ '/location' ],connection,created: '1999-01-01',expires: '2000-01-01',purpose});
+      expect(_.pick(putResource.location['trellis-mask'], [ 'created', 'expires', 'purpose' ])).to.deep.equal({
+        created: '1999-01-01T00:00:00.000Z', expires: '2000-01-01T00:00:00.000Z', purpose,
+      });
+      const signed = _.cloneDeep(putResource);
+      const { valid, match, expired, unchanged, report } = await ml.verifyRemoteResource({resource: signed, connection});
+      expect({valid, match, expired, unchanged}).to.deep.equal({ valid: false, match: true, expired: true, unchanged: true });
+      expect(_.map(report.masks, 'error')).to.deep.equal([ 'expired' ]);
+
+      signed.location['trellis-mask'].expires = '2100-01-01T00:00:00.000Z';
+      expect((await ml.verifyRemoteResource({resource: signed, connection})).unchanged).to.equal(false);
+    });
+
+    it('should record the expanded paths in the signature when passed wildcards', async function() {
+      const url = t.urlToResource;
+      const privateJWK = keys.private;
+      await ml.maskAndSignRemoteResourceAsNewResource({url,privateJWK,signer,paths: [ '/**/location' ],connection});
+      const { payload } = await tsig.verify(putResource);
+      expect(payload['mask-paths']).to.deep.equal([ '/location' ]);
+    });
+
+    it('should use the paths and signer from the mask policy when none are passed', async function() {
+      const url = t.urlToResource;
+      const privateJWK = keys.private;
+      const policySigner = { name: 'Policy Signer', url: 'https://policy.example.com' };
+      ml.registerMaskPolicy(t.unmasked._type, { paths: [ '/location' ], signer: policySigner });
+      try {
+        await ml.maskAndSignRemoteResourceAsNewResource({url,privateJWK,connection});
+      } finally {
+        ml.clearMaskPolicies();
+      }
+      const { payload } = await tsig.verify(putResource);
+      expect(payload['mask-paths']).to.deep.equal([ '/location' ]);
+      expect(payload.signer).to.deep.equal(policySigner);
+    });
+
   });
 
 
@@ -298,6 +482,26 @@ describe('Whole resource functions, masks AND signatures)', function() {
       });
     });
 
+    it('should return a structured report of every signature layer and mask', async function() {
+      const url = 'https://trusted.com/resources/signed';
+      const { report } = await ml.verifyRemoteResource({url,connection});
+      expect(report.signatures).to.deep.equal([ {
+        type: 'mask', signer, kid: keys.public.kid, trusted: false, trustedBy: false, unchanged: true, valid: true, maskPaths: [ '/location' ], error: false,
+      } ]);
+      expect(report.masks).to.deep.equal([ {
+        path: '/location',
+        url: t.mask1.location['trellis-mask'].url,
+        nonceurl: t.mask1.location['trellis-mask'].nonceurl,
+        alg: 'SHA256',
+        valid: true,
+        match: true,
+        expired: false,
+        fetchError: false,
+        error: false,
+        signature: 0,
+      } ]);
+    });
+
     it('should return valid=true, match=true, trusted=false, unchanged=false if there is no signature and no masks at all', async function() {
       const url = 'https://trusted.com/resources/1'; // the unmasked resource
       const {trusted,valid,match,unchanged,original} = await ml.verifyRemoteResource({url,connection});
@@ -370,6 +574,116 @@ describe('Whole resource functions, masks AND signatures)', function() {
      
     });
 
+    it('should work with a modification signature applied after a mask signature', async function () {
+      const url = 'https://trusted.com/resources/maskThenModification';
+      const {trusted,valid,match,unchanged,original,signatures} = await ml.verifyRemoteResource({url,connection});
+      const expected = _.cloneDeep(t.unmasked);
+      expected.key1 = 'modified after masking';
+      expect({trusted,valid,match,unchanged,original}).to.deep.equal({
+        valid: true,
+        match: true,
+        trusted: false,
+        unchanged: true,
+        original: expected,
+      });
+      expect(_.map(signatures, 'type')).to.deep.equal([ 'modification', 'mask' ]);
+      expect(_.map(signatures, 'unchanged')).to.deep.equal([ true, false ]); // mask layer was signed before the edit
+    });
+
+    it('should work with mask and modification signatures mixed in the chain', async function () {
+      const url = 'https://trusted.com/resources/maskModificationMask';
+      const {trusted,valid,match,unchanged,original,signatures} = await ml.verifyRemoteResource({url,connection});
+      const expected = _.cloneDeep(t.unmasked);
+      expected.key1 = 'modified after masking';
+      expect({trusted,valid,match,unchanged,original}).to.deep.equal({
+        valid: true,
+        match: true,
+        trusted: false,
+        unchanged: true,
+        original: expected,
+      });
+      expect(_.map(signatures, 'type')).to.deep.equal([ 'mask', 'modification', 'mask' ]);
+      expect(_.every(signatures, 'valid')).to.equal(true);
+    });
+
+    it('should leave a resource you pass in as it was', async function () {
+      const resource = _.cloneDeep(t.mask1);
+      const { valid, match, original } = await ml.verifyRemoteResource({resource, connection});
+      expect({valid, match}).to.deep.equal({ valid: true, match: true });
+      expect(original.location).to.deep.equal(t.unmasked.location);
+      expect(resource).to.deep.equal(t.mask1);
+    });
+
+    it('should use the connections map for masks that live on another cloud', async function () {
+      const url = 'https://trusted.com/resources/crossCloudMasks';
+      const connections = { 'https://copacker.com': 'copackertoken' };
+      const {trusted,valid,match,unchanged,original} = await ml.verifyRemoteResource({url,connection,connections});
+      expect({trusted,valid,match,unchanged,original}).to.deep.equal({
+        valid: true,
+        match: true,
+        trusted: false,
+        unchanged: true,
+        original: t.unmasked,
+      });
+    });
+
+    it('should call a connections function only once per domain', async function () {
+      const url = 'https://trusted.com/resources/crossCloudMasks';
+      const domains = [];
+      const connections = domain => {
+        domains.push(domain);
+        return domain === 'https://copacker.com' ? 'copackertoken' : connection;
+      };
+      const {valid,match,original} = await ml.verifyRemoteResource({url,connections});
+      expect({valid,match,original}).to.deep.equal({ valid: true, match: true, original: t.unmasked });
+      expect(domains.sort()).to.deep.equal([ 'https://copacker.com', 'https://trusted.com' ]);
+    });
+
+    it('should return valid=false for masks on another cloud when no connection is given for that cloud', async function () {
+      const url = 'https://trusted.com/resources/crossCloudMasks';
+      const {valid,match} = await ml.verifyRemoteResource({url,connection});
+      expect({valid,match}).to.deep.equal({ valid: false, match: false });
+    });
+
+    it('should reconstruct masks found inside originals', async function () {
+      const url = 'https://nested.com/resources/nestedMasks';
+      const {valid,match,original,levels,unresolved} = await ml.verifyRemoteResource({url,token});
+      expect({valid,match,original,unresolved}).to.deep.equal({
+        valid: true,
+        match: true,
+        original: t.nestedExpected,
+        unresolved: [],
+      });
+      expect(_.map(levels, 'paths')).to.deep.equal([ [ '/location' ], [ '/location/street' ] ]);
+    });
+
+    it('should report the depth of each nested mask', async function () {
+      const url = 'https://nested.com/resources/nestedMasks';
+      const { report } = await ml.verifyRemoteResource({url,token});
+      expect(_.map(report.masks, m => _.pick(m, [ 'path', 'depth', 'valid', 'match' ]))).to.deep.equal([
+        { path: '/location', depth: 1, valid: true, match: true },
+        { path: '/location/street', depth: 2, valid: true, match: true },
+      ]);
+    });
+
+    it('should stop reconstructing nested masks at maxDepth', async function () {
+      const url = 'https://nested.com/resources/nestedMasks';
+      const {valid,match,original,levels,unresolved} = await ml.verifyRemoteResource({url,token,maxDepth: 1});
+      expect({valid,match,unresolved}).to.deep.equal({ valid: true, match: true, unresolved: [ '/location/street' ] });
+      expect(ml.isMask(original.location.street)).to.equal(true);
+      expect(levels).to.have.length(1);
+    });
+
+    it('should detect a mask inside an original that points back at itself', async function () {
+      const url = 'https://nested.com/resources/cyclicMasks';
+      const {valid,levels,unresolved,report} = await ml.verifyRemoteResource({url,token});
+      expect(valid).to.equal(false);
+      expect(levels).to.have.length(2);
+      expect(levels[1].cycles).to.deep.equal([ '/loop/inner' ]);
+      expect(unresolved).to.deep.equal([ '/loop/inner' ]);
+      expect(_.find(report.masks, { path: '/loop/inner', cycle: true })).to.include({ depth: 2, valid: false, match: false });
+    });
+
     it('should show match=false if any of the masks have changed', async function() {
       const original_t = _.cloneDeep(t);
       try {
@@ -409,4 +723,277 @@ describe('Whole resource functions, masks AND signatures)', function() {
 
   });
 
+  describe('#verifyRemoteResource with trust', function() {
+    const privateJKU = 'https://keys.internal.example.com/jwks.json';
+    let otherKeys = false;
+    let privatelySigned = false;
+
+    before(async () => {
+      otherKeys = await tsig.keys.create();
+      privatelySigned = await tsig.sign(t.mask1, keys.private, { 
+        signer, type: 'mask', payload: { 'mask-paths': [ '/location' ] },
+        header: { jku: privateJKU, kid: keys.public.kid },
+      });
+      nock('https://lists.example.com')
+        .get('/trusted.json').reply(200, { version: '2', jkus: [ privateJKU ], jwks: { keys: [] } }).persist()
+        .get('/missing.json').reply(404).persist()
+      // Nobody outside can get to the private jku
+      nock('https://keys.internal.example.com').get('/jwks.json').reply(404).persist()
+    });
+
+    it('should trust a signature whose key is in an inline trusted list', async function() {
+      const url = 'https://trusted.com/resources/signed';
+      const { trusted, valid, match, report } = await ml.verifyRemoteResource({url, connection, trust: { trustedList: [ keys.public ] }});
+      expect({trusted, valid, match}).to.deep.equal({ trusted: true, valid: true, match: true });
+      expect(_.pick(report.signatures[0], [ 'trusted', 'trustedBy' ])).to.deep.equal({ trusted: true, trustedBy: 'jwk' });
+    });
+
+    it('should not trust a signature whose key is not in the trusted list', async function() {
+      const url = 'https://trusted.com/resources/signed';
+      const { trusted, valid, report } = await ml.verifyRemoteResource({url, connection, trust: { trustedList: [ otherKeys.public ] }});
+      expect({trusted, valid}).to.deep.equal({ trusted: false, valid: true });
+      expect(_.pick(report.signatures[0], [ 'trusted', 'trustedBy' ])).to.deep.equal({ trusted: false, trustedBy: false });
+    });
+
+    it('should report the trust decision for each signature layer', async function() {
+      const resource = await tsig.sign(t.signed, otherKeys.private, { signer, type: 'transcription' });
+      const { trusted, valid, report } = await ml.verifyRemoteResource({resource, connection, trust: { trustedList: { jwks: { keys: [ keys.public ] } } }});
+      expect({trusted, valid}).to.deep.equal({ trusted: false, valid: true });
+      expect(_.map(report.signatures, s => _.pick(s, [ 'type', 'trusted', 'trustedBy' ]))).to.deep.equal([
+        { type: 'transcription', trusted: false, trustedBy: false },
+        { type: 'mask', trusted: true, trustedBy: 'jwk' },
+      ]);
+    });
+
+    it('should use the key from keyResolver and trust the jku from a trusted list at a URL', async function() {
+      const keyResolver = async ({header}) => header.kid === keys.public.kid ? keys.public : false;
+      const trust = { trustedList: 'https://lists.example.com/trusted.json', keyResolver };
+      const { trusted, valid, match, report } = await ml.verifyRemoteResource({resource: privatelySigned, connection, trust});
+      expect({trusted, valid, match}).to.deep.equal({ trusted: true, valid: true, match: true });
+      expect(report.signatures[0].trustedBy).to.equal('jku');
+    });
+
+    it('should call the signature invalid without a keyResolver for a jku it cannot get to', async function() {
+      const trust = { trustedList: 'https://lists.example.com/trusted.json' };
+      const { trusted, valid, report } = await ml.verifyRemoteResource({resource: privatelySigned, connection, trust});
+      expect({trusted, valid}).to.deep.equal({ trusted: false, valid: false });
+      expect(report.signatures[0].error).to.equal('signature-invalid');
+    });
+
+    it('should reject with a typed error when the trusted list cannot be retrieved', async function() {
+      const trust = { trustedList: 'https://lists.example.com/missing.json' };
+      await expect(ml.verifyRemoteResource({resource: privatelySigned, connection, trust})).to.eventually.be.rejectedWith(ml.NotFoundError);
+    });
+  });
+
+
+  describe('#revealResource', function() {
+    it('should reveal only the paths asked for and sign which paths were revealed', async function() {
+      const maskedResource = t.transcriptionSignedSingleMultiMask;
+      const {valid,match,resource,revealed} = await ml.revealResource({maskedResource,paths: ['/location'],connection,privateJWK: keys.private,signer});
+      expect({valid,match,revealed}).to.deep.equal({ valid: true, match: true, revealed: [ '/location' ] });
+      expect(resource.location).to.deep.equal(t.unmasked.location);
+      expect(ml.isMask(resource.key1)).to.equal(true);
+      expect(ml.isMask(resource.key2)).to.equal(true);
+      const { payload } = await tsig.verify(resource);
+      expect(payload.type).to.equal('reveal');
+      expect(payload['reveal-paths']).to.deep.equal([ '/location' ]);
+    });
+
+    it('should not reveal a path whose original does not match the mask', async function() {
+      const original_t = _.cloneDeep(t);
+      try {
+        t.unmasked.location = 'I CHANGED!!!!!!';
+        const maskedResource = t.transcriptionSignedSingleMultiMask;
+        const {valid,match,resource,revealed} = await ml.revealResource({maskedResource,paths: ['/location'],connection});
+        expect({valid,match,revealed}).to.deep.equal({ valid: true, match: false, revealed: [] });
+        expect(ml.isMask(resource.location)).to.equal(true);
+      } finally {
+        t = _.cloneDeep(original_t);
+      }
+    });
+
+    it('should verify a revealed resource with verifyRemoteResource', async function() {
+      const maskedResource = t.transcriptionSignedSingleMultiMask;
+      const { resource } = await ml.revealResource({maskedResource,paths: ['/location'],connection,privateJWK: keys.private,signer});
+      nock('https://trusted.com').get('/resources/revealed').reply(200, resource);
+      const url = 'https://trusted.com/resources/revealed';
+      const {trusted,valid,match,unchanged,original,signatures} = await ml.verifyRemoteResource({url,connection});
+      expect({trusted,valid,match,unchanged,original}).to.deep.equal({
+        valid: true,
+        match: true,
+        trusted: false,
+        unchanged: true,
+        original: t.unmasked,
+      });
+      expect(_.map(signatures, 'type')).to.deep.equal([ 'reveal', 'mask', 'transcription' ]);
+    });
+
+    it('should show match=false in verifyRemoteResource if a revealed value was changed', async function() {
+      const maskedResource = t.transcriptionSignedSingleMultiMask;
+      const { resource } = await ml.revealResource({maskedResource,paths: ['/location'],connection});
+      resource.location = 'not what was masked';
+      const signed = await tsig.sign(resource, keys.private, { signer, type: 'reveal', payload: {
+        'reveal-paths': [ '/location' ], 
+        'revealed-masks': { '/location': maskedResource.location },
+      } });
+      nock('https://trusted.com').get('/resources/badreveal').reply(200, signed);
+      const url = 'https://trusted.com/resources/badreveal';
+      const {valid,match} = await ml.verifyRemoteResource({url,connection});
+      expect({valid,match}).to.deep.equal({ valid: true, match: false });
+    });
+  });
+
+  describe('#revealRemoteResourceAsNewResource', function() {
+    beforeEach(() => {
+      clearPutPost();
+    });
+
+    it('should post a copy with only the requested paths revealed', async function() {
+      const url = 'https://trusted.com/resources/transcriptionSignedSingleMultiMask';
+      const newResourceid = await ml.revealRemoteResourceAsNewResource({url,paths: ['/location'],connection,privateJWK: keys.private,signer});
+      expect(newResourceid).to.equal(putResourceid);
+      expect(putResource.location).to.deep.equal(t.unmasked.location);
+      expect(ml.isMask(putResource.key1)).to.equal(true);
+    });
+
+    it('should throw if a path cannot be revealed', async function() {
+      const url = 'https://trusted.com/resources/transcriptionSignedSingleMultiMask';
+      await expect(ml.revealRemoteResourceAsNewResource({url,paths: ['/notamask'],connection})).to.eventually.be.rejected;
+    });
+  });
+
+  describe('#exportAuditBundle and #verifyAuditBundle', function() {
+    it('should export a bundle with the resource, originals, nonces and keys', async function() {
+      const url = 'https://trusted.com/resources/transcriptionSignedSingleMultiMask';
+      const bundle = await ml.exportAuditBundle({url,connection});
+      expect(bundle['trellis-audit-bundle']).to.equal('1.0');
+      expect(bundle.resource).to.deep.equal(t.transcriptionSignedSingleMultiMask);
+      expect(bundle.documents).to.deep.equal({
+        'https://trusted.com/resources/1/location': t.unmasked.location,
+        'https://trusted.com/resources/1/key1': t.unmasked.key1,
+        'https://trusted.com/resources/1/key2': t.unmasked.key2,
+        'https://trusted.com/resources/1/_meta/nonce': t.unmasked._meta.nonce,
+      });
+      expect(bundle.keys.keys).to.have.length(1); // all signed with the same key
+      expect(bundle.keys.keys[0].kty).to.equal('RSA');
+    });
+
+    it('should verify a bundle without any connection or token', async function() {
+      const url = 'https://trusted.com/resources/crossCloudMasks';
+      const connections = { 'https://copacker.com': 'copackertoken' };
+      const exported = await ml.exportAuditBundle({url,connection,connections});
+      const bundle = JSON.parse(JSON.stringify(exported)); // it should survive being saved to a file
+      const {trusted,valid,match,unchanged,original} = await ml.verifyAuditBundle({bundle});
+      expect({trusted,valid,match,unchanged,original}).to.deep.equal({
+        valid: true,
+        match: true,
+        trusted: false,
+        unchanged: true,
+        original: t.unmasked,
+      });
+    });
+
+    it('should show match=false if an original in the bundle was changed', async function() {
+      const url = 'https://trusted.com/resources/transcriptionSignedSingleMultiMask';
+      const bundle = await ml.exportAuditBundle({url,connection});
+      bundle.documents['https://trusted.com/resources/1/location'] = 'I CHANGED!!!!!!';
+      const {valid,match} = await ml.verifyAuditBundle({bundle});
+      expect({valid,match}).to.deep.equal({ valid: true, match: false });
+    });
+
+    it('should show valid=false if the bundle is missing an original', async function() {
+      const url = 'https://trusted.com/resources/transcriptionSignedSingleMultiMask';
+      const bundle = await ml.exportAuditBundle({url,connection});
+      delete bundle.documents['https://trusted.com/resources/1/key1'];
+      const {valid,match} = await ml.verifyAuditBundle({bundle});
+      expect({valid,match}).to.deep.equal({ valid: false, match: false });
+    });
+
+    it('should show valid=false if the bundle is missing a key for a signature', async function() {
+      const url = 'https://trusted.com/resources/transcriptionSignedSingleMultiMask';
+      const bundle = await ml.exportAuditBundle({url,connection});
+      bundle.keys = { keys: [] };
+      const {valid} = await ml.verifyAuditBundle({bundle});
+      expect(valid).to.equal(false);
+    });
+
+    it('should only check signatures with the keys in the bundle and never go online', async function() {
+      const url = 'https://trusted.com/resources/transcriptionSignedSingleMultiMask';
+      const bundle = await ml.exportAuditBundle({url,connection});
+      const otherKeys = await tsig.keys.create();
+      bundle.keys = { keys: [ _.assign({}, otherKeys.public, { kid: keys.public.kid }) ] };
+      nock.disableNetConnect();
+      try {
+        const {valid,report} = await ml.verifyAuditBundle({bundle});
+        expect(valid).to.equal(false);
+        expect(report.signatures[0].error).to.equal('signature-invalid');
+      } finally {
+        nock.enableNetConnect();
+      }
+    });
+
+    it('should only trust signers from the trusted list you pass, not the one saved in the bundle', async function() {
+      const url = 'https://trusted.com/resources/transcriptionSignedSingleMultiMask';
+      const bundle = await ml.exportAuditBundle({url, connection, trust: { trustedList: [ keys.public ] }});
+      expect(bundle.trustedList.jwks.keys).to.deep.equal([ keys.public ]);
+      nock.disableNetConnect();
+      try {
+        expect((await ml.verifyAuditBundle({bundle})).trusted).to.equal(false);
+        expect((await ml.verifyAuditBundle({bundle, trust: { trustedList: [ keys.public ] }})).trusted).to.equal(true);
+        expect((await ml.verifyAuditBundle({bundle, trust: { trustedList: [] }})).trusted).to.equal(false);
+        await expect(ml.verifyAuditBundle({bundle, trust: { trustedList: 'https://lists.example.com/trusted.json' }})).to.eventually.be.rejected;
+      } finally {
+        nock.enableNetConnect();
+      }
+    });
+
+    it('should not trust a key from the bundle by a jku it was never at', async function() {
+      const attacker = await tsig.keys.create();
+      const jku = 'https://trusted.com/jwks';
+      const resource = await tsig.sign(_.omit(t.unmasked, [ '_meta' ]), attacker.private, { header: { jku }, signer, type: 'transcription' });
+      const url = 'https://trusted.com/resources/forged';
+      const bundle = { 'trellis-audit-bundle': '1.0', url, resource, documents: {}, files: {}, keys: { keys: [ attacker.public ] } };
+      nock.disableNetConnect();
+      try {
+        const forged = await ml.verifyAuditBundle({bundle, trust: { trustedList: [ jku ] }});
+        expect({ valid: forged.valid, trusted: forged.trusted }).to.deep.equal({ valid: true, trusted: false });
+        expect(forged.signatures[0].trustedBy).to.equal(false);
+        // The same key is trusted by its jku if it comes from the verifier's own keyResolver
+        const resolved = await ml.verifyAuditBundle({bundle, trust: { trustedList: [ jku ], keyResolver: async () => attacker.public }});
+        expect({ trusted: resolved.trusted, trustedBy: resolved.signatures[0].trustedBy }).to.deep.equal({ trusted: true, trustedBy: 'jku' });
+      } finally {
+        nock.enableNetConnect();
+      }
+    });
+
+    it('should show valid=false for a signature that cannot be decoded', async function() {
+      const url = 'https://trusted.com/resources/transcriptionSignedSingleMultiMask';
+      const bundle = await ml.exportAuditBundle({url,connection});
+      bundle.resource.signatures = [ 'not.a.signature' ];
+      const {valid} = await ml.verifyAuditBundle({bundle});
+      expect(valid).to.equal(false);
+    });
+
+    it('should keep the masks in an unsigned resource and catch a changed original', async function() {
+      const cloud = createMemoryOADA({ domain: 'https://unsigned.com', resources: { 'resources/audit': _.omit(t.unmasked, [ '_meta' ]) } });
+      const id = await ml.maskRemoteResourceAsNewResource({url: cloud.url('resources/audit'), paths: [ '/location' ], connection: cloud});
+      const bundle = await ml.exportAuditBundle({url: cloud.url(id), connection: cloud});
+      expect(ml.isMask(bundle.resource.location)).to.equal(true);
+      expect(bundle.documents['https://unsigned.com/resources/audit/location']).to.deep.equal(t.unmasked.location);
+      const { valid, match, original } = await ml.verifyAuditBundle({bundle});
+      expect({valid, match}).to.deep.equal({ valid: true, match: true });
+      expect(original.location).to.deep.equal(t.unmasked.location);
+      expect(ml.isMask(bundle.resource.location)).to.equal(true);
+
+      bundle.documents['https://unsigned.com/resources/audit/location'] = { city: 'Somewhere Else' };
+      expect((await ml.verifyAuditBundle({bundle})).match).to.equal(false);
+    });
+
+    it('should show valid=false for something that is not a bundle', async function() {
+      const {valid} = await ml.verifyAuditBundle({bundle: { not: 'a bundle' }});
+      expect(valid).to.equal(false);
+    });
+  });
+
 });
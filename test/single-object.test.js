@@ -117,6 +117,82 @@ describe('Single object (mask) functions', function() {
       const result = ml.mask({original, url, nonceurl});
       expect(result.mask['trellis-mask'].hashinfo).to.not.deep.equal(unexpected);
     });
+
+    it('should use SHA256 by default', function() {
+      const original = t.unmasked.location;
+      const url = t.mask1.location['trellis-mask'].url;
+      const nonceurl = t.mask1.location['trellis-mask'].nonceurl;
+      const result = ml.mask({original, url, nonceurl});
+      expect(result.mask['trellis-mask'].hashinfo.alg).to.equal('SHA256');
+    });
+
+    it('should hash with the algorithm that is passed', function() {
+      const original = t.unmasked.location;
+      const url = t.mask1.location['trellis-mask'].url;
+      const nonceurl = t.mask1.location['trellis-mask'].nonceurl;
+      const sha384 = ml.mask({original, url, nonceurl, alg: 'SHA384'}).mask['trellis-mask'].hashinfo;
+      const sha512 = ml.mask({original, url, nonceurl, alg: 'sha-512'}).mask['trellis-mask'].hashinfo;
+      expect(sha384.alg).to.equal('SHA384');
+      expect(sha384.hash).to.have.length(96);
+      expect(sha512.alg).to.equal('SHA512');
+      expect(sha512.hash).to.have.length(128);
+    });
+
+    it('should throw for an unsupported algorithm', function() {
+      const original = t.unmasked.location;
+      const url = t.mask1.location['trellis-mask'].url;
+      const nonceurl = t.mask1.location['trellis-mask'].nonceurl;
+      expect(() => ml.mask({original, url, nonceurl, alg: 'MD5'})).to.throw();
+    });
+  });
+
+  describe('#mask with created, expires, and purpose', function() {
+    const original = t.unmasked.location;
+    const nonce = t.unmasked._meta.nonce;
+    const url = t.mask1.location['trellis-mask'].url;
+    const nonceurl = t.mask1.location['trellis-mask'].nonceurl;
+    const purpose = 'Shared with Buyer Co. under the 2020 supply agreement';
+
+    it('should put them in the trellis-mask as ISO dates without changing the hash', function() {
+      const { mask } = ml.mask({original, url, nonce, nonceurl, created: new Date('2020-06-01T00:00:00Z'), expires: '2021-06-01', purpose});
+      expect(_.pick(mask['trellis-mask'], [ 'created', 'expires', 'purpose' ])).to.deep.equal({
+        created: '2020-06-01T00:00:00.000Z', expires: '2021-06-01T00:00:00.000Z', purpose,
+      });
+      expect(mask['trellis-mask'].hashinfo).to.deep.equal(t.mask1.location['trellis-mask'].hashinfo);
+      expect(ml.isMask(mask)).to.equal(true);
+    });
+
+    it('should use the current time for created: true', function() {
+      const before = Date.now();
+      const { mask } = ml.mask({original, url, nonce, nonceurl, created: true});
+      const created = Date.parse(mask['trellis-mask'].created);
+      expect(created).to.be.within(before, Date.now());
+    });
+
+    it('should throw for dates it cannot understand or an expires before created', function() {
+      expect(() => ml.mask({original, url, nonce, nonceurl, expires: 'someday'})).to.throw(/expires/);
+      expect(() => ml.mask({original, url, nonce, nonceurl, expires: true})).to.throw(/expires/);
+      expect(() => ml.mask({original, url, nonce, nonceurl, created: '2021-01-01', expires: '2020-01-01'})).to.throw(/after created/);
+      expect(() => ml.mask({original, url, nonce, nonceurl, purpose: 7})).to.throw(/purpose/);
+    });
+
+    it('should report an expired mask as expired instead of a mismatch', function() {
+      const { mask } = ml.mask({original, url, nonce, nonceurl, expires: '2021-06-01T00:00:00Z', purpose});
+      const stillgood = ml.verify({mask, original, nonce, now: '2021-05-31T23:59:59Z'});
+      expect(_.pick(stillgood, [ 'valid', 'match', 'expired' ])).to.deep.equal({ valid: true, match: true, expired: false });
+      const { valid, match, expired, report } = ml.verify({mask, original, nonce, now: new Date('2021-06-01T00:00:00Z')});
+      expect({valid, match, expired}).to.deep.equal({ valid: false, match: true, expired: true });
+      expect(_.pick(report, [ 'error', 'expires', 'purpose' ])).to.deep.equal({ error: 'expired', expires: '2021-06-01T00:00:00.000Z', purpose });
+      expect(ml.verify({mask, original: 'something else', nonce}).report.error).to.equal('expired');
+    });
+
+    it('should say a mask with an expires that is not a date is invalid', function() {
+      const { mask } = ml.mask({original, url, nonce, nonceurl});
+      mask['trellis-mask'].expires = 'someday';
+      const { valid, report } = ml.verify({mask, original, nonce});
+      expect(valid).to.equal(false);
+      expect(report.error).to.equal('invalid-mask');
+    });
   });
 
   describe('#verify', function() {
@@ -162,6 +238,40 @@ describe('Single object (mask) functions', function() {
       const {valid,match} = ml.verify({mask,original,nonce});
       expect({valid,match}).to.deep.equal({valid: true, match: true });
     });
+
+    it('should recompute the hash with the algorithm in the mask', function() {
+      const original = t.unmasked.location;
+      const nonce = t.unmasked._meta.nonce;
+      const url = t.mask1.location['trellis-mask'].url;
+      const nonceurl = t.mask1.location['trellis-mask'].nonceurl;
+      const { mask } = ml.mask({original, url, nonce, nonceurl, alg: 'SHA512'});
+      expect(ml.verify({mask,original,nonce})).to.include({valid: true, match: true });
+      expect(ml.verify({mask,original: 'something else',nonce})).to.include({valid: true, match: false });
+    });
+
+    it('should return a structured report for the mask', function() {
+      const { report } = ml.verify({mask: t.mask1.location, original: t.unmasked.location, nonce: t.unmasked._meta.nonce});
+      expect(report).to.deep.equal({
+        url: t.mask1.location['trellis-mask'].url,
+        nonceurl: t.mask1.location['trellis-mask'].nonceurl,
+        alg: 'SHA256',
+        valid: true,
+        match: true,
+        expired: false,
+        fetchError: false,
+        error: false,
+      });
+    });
+
+    it('should return valid: false, match: false for an unknown or weak algorithm', function() {
+      const mask = _.cloneDeep(t.mask1.location);
+      const original = t.unmasked.location;
+      const nonce = t.unmasked._meta.nonce;
+      mask['trellis-mask'].hashinfo.alg = 'MD5';
+      const {valid,match,details} = ml.verify({mask,original,nonce});
+      expect({valid,match}).to.deep.equal({valid: false, match: false });
+      expect(details[0]).to.match(/MD5/);
+    });
   });
 
 
@@ -184,6 +294,10 @@ describe('Single object (mask) functions', function() {
         .reply(200, JSON.stringify(t.unmasked._meta.nonce))
         .persist()
 
+        .get('/resources/1/_meta/nonces/location')
+        .reply(200, JSON.stringify('locationonlynonce'))
+        .persist()
+
         .get('/resources/doesnotexist')
         .reply(404, {})
         .persist()
@@ -222,6 +336,21 @@ describe('Single object (mask) functions', function() {
       });
     });
 
+    it('should verify a mask that has its own nonce for its path', async function() {
+      const { mask } = ml.mask({
+        original: t.unmasked.location,
+        url: 'https://trusted.com/resources/1/location',
+        nonce: 'locationonlynonce',
+        nonceurl: 'https://trusted.com/resources/1/_meta/nonces/location',
+      });
+      const { valid, match, nonce } = await ml.verifyRemote({mask,connection});
+      expect({valid,match,nonce}).to.deep.equal({
+        valid: true,
+        match: true,
+        nonce: 'locationonlynonce',
+      });
+    });
+
     it('should fail to verify when mask url 404\'s', async function() {
       const mask = _.cloneDeep(t.mask1.location);
       mask['trellis-mask'].url = "https://trusted.com/resources/doesnotexist";
@@ -233,6 +362,17 @@ describe('Single object (mask) functions', function() {
       });
     });
 
+    it('should report which request failed and its status when the mask url 404\'s', async function() {
+      const mask = _.cloneDeep(t.mask1.location);
+      mask['trellis-mask'].url = "https://trusted.com/resources/doesnotexist";
+
+      const { report } = await ml.verifyRemote({mask,connection});
+      expect(report.valid).to.equal(false);
+      expect(report.url).to.equal(mask['trellis-mask'].url);
+      expect(report.fetchError).to.deep.equal({ url: mask['trellis-mask'].url, status: 404, code: 'not-found' });
+      expect(report.error).to.equal('not-found');
+    });
+
     it('should fail to verify when nonce url 404\'s', async function() {
       const mask = _.cloneDeep(t.mask1.location);
       mask['trellis-mask'].nonceurl = "https://trusted.com/resources/doesnotexist";
@@ -279,4 +419,158 @@ describe('Single object (mask) functions', function() {
 
   });
 
+  describe('#createDisclosure and #verifyDisclosure', function() {
+    const original = { here: 'we are!!' };
+    const nonce = 'thenonce';
+    const signer = { name: 'Test Signer', url: 'https://oatscenter.org' };
+    let keys = false;
+    let mask = false;
+
+    before(async () => {
+      keys = await tsig.keys.create();
+      mask = ml.mask({original, nonce, url: 'https://private.com/resources/1/location', nonceurl: 'https://private.com/resources/1/_meta/nonce'}).mask;
+    });
+
+    it('should make a signed disclosure that verifies without fetching anything', async function() {
+      const disclosure = await ml.createDisclosure({mask, original, nonce, privateJWK: keys.private, signer});
+      expect(disclosure['trellis-disclosure']).to.deep.equal({ version: '1.0', mask: mask['trellis-mask'], original, nonce });
+      const result = await ml.verifyDisclosure({mask, disclosure, trust: { trustedList: [ keys.public ] }});
+      expect(_.pick(result, [ 'trusted', 'valid', 'match', 'unchanged', 'original' ])).to.deep.equal({
+        trusted: true, valid: true, match: true, unchanged: true, original,
+      });
+      expect(_.pick(result.signature, [ 'type', 'signer', 'kid', 'trustedBy' ])).to.deep.equal({
+        type: 'disclosure', signer, kid: keys.public.kid, trustedBy: 'jwk',
+      });
+      expect(result.report.error).to.equal(false);
+    });
+
+    it('should refuse to disclose an original that does not match the mask', async function() {
+      await expect(ml.createDisclosure({mask, original: { here: 'somewhere else' }, nonce, privateJWK: keys.private}))
+        .to.eventually.be.rejectedWith(ml.MismatchError, /do not match/).and.be.an.instanceOf(ml.InvalidMaskError).and.have.property('code', 'mismatch');
+    });
+
+    it('should throw an InvalidMaskError for a mask that is not valid', async function() {
+      const bad = _.merge(_.cloneDeep(mask), { 'trellis-mask': { version: '2.0' } });
+      await expect(ml.createDisclosure({mask: bad, original, nonce, privateJWK: keys.private})).to.eventually.be.rejectedWith(ml.InvalidMaskError);
+    });
+
+    it('should not be valid if the disclosed original was changed after signing', async function() {
+      const disclosure = await ml.createDisclosure({mask, original, nonce, privateJWK: keys.private, signer});
+      disclosure['trellis-disclosure'].original = { here: 'somewhere else' };
+      const { valid, match, unchanged, report } = await ml.verifyDisclosure({mask, disclosure});
+      expect({valid, match, unchanged}).to.deep.equal({ valid: false, match: false, unchanged: false });
+      expect(report.error).to.equal('invalid-mask');
+    });
+
+    it('should not be valid for a different mask', async function() {
+      const disclosure = await ml.createDisclosure({mask, original, nonce, privateJWK: keys.private, signer});
+      const other = ml.mask({original, nonce, url: 'https://private.com/resources/2/location', nonceurl: 'https://private.com/resources/2/_meta/nonce'}).mask;
+      const { valid, details } = await ml.verifyDisclosure({mask: other, disclosure});
+      expect(valid).to.equal(false);
+      expect(details).to.include('Disclosure is for a different mask');
+    });
+
+    it('should not be valid without a signature', async function() {
+      const disclosure = await ml.createDisclosure({mask, original, nonce, privateJWK: keys.private, signer});
+      delete disclosure.signatures;
+      const { valid, signature } = await ml.verifyDisclosure({mask, disclosure});
+      expect({valid, signature}).to.deep.equal({ valid: false, signature: false });
+    });
+  });
+
+  describe('request errors, timeouts, and retries', function () {
+    const token = 'thetoken';
+    const maskAt = (url, nonceurl) => _.merge(_.cloneDeep(t.mask1.location), { 'trellis-mask': { url, nonceurl } });
+    const goodnonceurl = 'https://flaky.com/resources/1/_meta/nonce';
+    let requestOptions = false;
+
+    before(() => {
+      requestOptions = ml.configureRequests({ backoff: 1 });
+      nock('https://flaky.com')
+        .get('/resources/1/_meta/nonce')
+        .reply(200, JSON.stringify(t.unmasked._meta.nonce))
+        .persist()
+
+        .get('/resources/forbidden')
+        .reply(403, '')
+        .persist()
+
+        .get('/resources/alwaysdown')
+        .reply(503, '')
+        .persist()
+
+        .get('/resources/slow')
+        .delay(200)
+        .reply(200, t.unmasked.location)
+        .persist()
+    });
+
+    after(() => {
+      ml.configureRequests(requestOptions);
+    });
+
+    it('should report forbidden with its status when the original is forbidden', async function() {
+      const { valid, report } = await ml.verifyRemote({mask: maskAt('https://flaky.com/resources/forbidden', goodnonceurl), token});
+      expect(valid).to.equal(false);
+      expect(report.fetchError).to.deep.equal({ url: 'https://flaky.com/resources/forbidden', status: 403, code: 'forbidden' });
+    });
+
+    it('should retry a GET that fails with a server error and use the answer when it works', async function() {
+      nock('https://flaky.com')
+        .get('/resources/flaky').times(2).reply(500, '')
+        .get('/resources/flaky').reply(200, t.unmasked.location);
+      const { valid, match } = await ml.verifyRemote({mask: maskAt('https://flaky.com/resources/flaky', goodnonceurl), token});
+      expect({valid,match}).to.deep.equal({ valid: true, match: true });
+    });
+
+    it('should give up with a network error after all the retries', async function() {
+      ml.configureRequests({ retries: 1 });
+      try {
+        const { report } = await ml.verifyRemote({mask: maskAt('https://flaky.com/resources/alwaysdown', goodnonceurl), token});
+        expect(report.fetchError).to.deep.equal({ url: 'https://flaky.com/resources/alwaysdown', status: 503, code: 'network' });
+      } finally {
+        ml.configureRequests({ retries: requestOptions.retries });
+      }
+    });
+
+    it('should not retry a GET that was not found', async function() {
+      const scope = nock('https://flaky.com').get('/resources/gone').once().reply(404, '');
+      const { report } = await ml.verifyRemote({mask: maskAt('https://flaky.com/resources/gone', goodnonceurl), token});
+      expect(report.error).to.equal('not-found');
+      expect(scope.isDone()).to.equal(true);
+    });
+
+    it('should retry a GET whose connection was refused', async function() {
+      let calls = 0;
+      const connection = {
+        get: async ({path}) => {
+          if (path === '/resources/1/location' && ++calls === 1) throw _.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+          return { data: path === '/resources/1/location' ? t.unmasked.location : t.unmasked._meta.nonce };
+        },
+      };
+      const { valid, match } = await ml.verifyRemote({mask: maskAt('https://flaky.com/resources/1/location', goodnonceurl), connection});
+      expect({valid, match}).to.deep.equal({ valid: true, match: true });
+      expect(calls).to.equal(2);
+    });
+
+    it('should throw an error that is not from the network as it was, without retrying', async function() {
+      let calls = 0;
+      const connection = { get: async () => { calls++; throw new TypeError('path.split is not a function') } };
+      await expect(ml.maskRemoteResourceAsNewResource({url: 'https://flaky.com/resources/1', paths: [ '/location' ], connection}))
+        .to.eventually.be.rejectedWith(TypeError, 'path.split');
+      expect(calls).to.equal(1);
+    });
+
+    it('should time out a request that takes longer than the timeout', async function() {
+      ml.configureRequests({ timeout: 50, retries: 0 });
+      try {
+        const { valid, report } = await ml.verifyRemote({mask: maskAt('https://flaky.com/resources/slow', goodnonceurl), token});
+        expect(valid).to.equal(false);
+        expect(report.error).to.equal('network');
+      } finally {
+        ml.configureRequests({ timeout: requestOptions.timeout, retries: requestOptions.retries });
+      }
+    });
+  });
+
 });
@@ -0,0 +1,373 @@
+/* Copyright 2020 Open Ag Data Alliance
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+const nock = require('nock');
+const tsig = require('@trellisfw/signatures');
+const jsonpointer = require('json-pointer');
+const _ = require('lodash');
+
+process.env.NODE_TLS_REJECT_UNAUTHORIZED = 0;
+
+const ml = require('../index.js'); // mask&link library
+
+const domain = 'https://syncing.com';
+const url = `${domain}/resources/orig`;
+const _type = 'application/vnd.test.sync.1+json';
+
+// Everything on syncing.com lives in here, GET's and PUT's go straight to it
+let store = false;
+function resetStore() {
+  store = {
+    resources: {
+      orig: {
+        _id: 'resources/orig',
+        _rev: 1,
+        _type,
+        _meta: { nonce: 'thenonce' },
+        key1: 'not masked string',
+        location: { here: 'we are!!' },
+      },
+    },
+  };
+}
+// Simulates someone editing the original
+function changeOriginal(location) {
+  store.resources.orig.location = location;
+  store.resources.orig._rev++;
+}
+function copyURL(id) {
+  return `${domain}/${id}`;
+}
+
+describe('Masked copies that keep track of their originals', function() {
+  const token = 'thetoken';
+  let keys = false;
+  const signer = { name: 'Test Signer', url: 'https://oatscenter.org' };
+
+  after(async () => {
+    nock.cleanAll()
+    nock.enableNetConnect()
+  });
+
+  before(async () => {
+    keys = await tsig.keys.create(); // { public, private }
+
+    nock(domain)
+      .get(/.*/)
+      .reply(function(uri) {
+        if (!jsonpointer.has(store, uri)) return [ 404, '' ];
+        const val = jsonpointer.get(store, uri);
+        return [ 200, typeof val === 'object' ? val : JSON.stringify(val) ];
+      })
+      .persist()
+
+      .put(/.*/)
+      .reply(function(uri, requestBody) {
+        const data = JSON.parse(requestBody);
+        const old = jsonpointer.has(store, uri) ? jsonpointer.get(store, uri) : false;
+        jsonpointer.set(store, uri, (_.isPlainObject(old) && _.isPlainObject(data)) ? _.merge(old, data) : data);
+        return [ 200, '', { 'content-location': uri } ];
+      })
+      .persist()
+
+      .delete(/.*/)
+      .reply(function(uri) {
+        if (!jsonpointer.has(store, uri)) return [ 404, '' ];
+        jsonpointer.remove(store, uri);
+        return [ 204, '' ];
+      })
+      .persist()
+  });
+
+  beforeEach(() => resetStore());
+
+  describe('#maskRemoteResourceAsNewResource with sync', function() {
+    it('should record the original url, paths, and _rev on the copy', async function() {
+      const id = await ml.maskRemoteResourceAsNewResource({url, paths: [ '/location' ], token, sync: true});
+      expect(jsonpointer.get(store, `/${id}/_meta/trellis-mask-source`)).to.deep.equal({
+        url, paths: [ '/location' ], rev: 1, signed: false,
+      });
+    });
+
+    it('should not record anything without sync', async function() {
+      const id = await ml.maskRemoteResourceAsNewResource({url, paths: [ '/location' ], token});
+      expect(jsonpointer.has(store, `/${id}/_meta/trellis-mask-source`)).to.equal(false);
+    });
+  });
+
+  describe('#syncMaskedResource', function() {
+    it('should throw for a copy that was not made with sync', async function() {
+      const id = await ml.maskRemoteResourceAsNewResource({url, paths: [ '/location' ], token});
+      await expect(ml.syncMaskedResource({url: copyURL(id), token})).to.eventually.be.rejected;
+    });
+
+    it('should not change the copy when the original has not changed', async function() {
+      const id = await ml.maskRemoteResourceAsNewResource({url, paths: [ '/location' ], token, sync: true});
+      const before = _.cloneDeep(jsonpointer.get(store, `/${id}`));
+      const { updated, rev } = await ml.syncMaskedResource({url: copyURL(id), token});
+      expect(updated).to.equal(false);
+      expect(rev).to.equal(1);
+      expect(jsonpointer.get(store, `/${id}`)).to.deep.equal(before);
+    });
+
+    it('should re-mask the copy in place when the original changes', async function() {
+      const id = await ml.maskRemoteResourceAsNewResource({url, paths: [ '/location' ], token, sync: true});
+      const newlocation = { here: 'somewhere else now' };
+      changeOriginal(newlocation);
+      const { updated, rev } = await ml.syncMaskedResource({url: copyURL(id), token});
+      expect(updated).to.equal(true);
+      expect(rev).to.equal(2);
+      const copy = jsonpointer.get(store, `/${id}`);
+      expect(ml.verify({mask: copy.location, original: newlocation, nonce: 'thenonce'}).match).to.equal(true);
+      expect(copy._meta['trellis-mask-source'].rev).to.equal(2);
+    });
+
+    it('should keep expires and purpose and re-stamp created when it re-masks', async function() {
+      const terms = { created: true, expires: '2100-01-01T00:00:00.000Z', purpose: 'Shared with Buyer Co.' };
+      const id = await ml.maskRemoteResourceAsNewResource(_.assign({url, paths: [ '/location' ], token, sync: true}, terms));
+      expect(_.pick(jsonpointer.get(store, `/${id}/_meta/trellis-mask-source`), [ 'created', 'expires', 'purpose' ])).to.deep.equal(terms);
+      const before = Date.now();
+      changeOriginal({ here: 'somewhere else now' });
+      await ml.syncMaskedResource({url: copyURL(id), token});
+      const tm = jsonpointer.get(store, `/${id}/location/trellis-mask`);
+      expect(_.pick(tm, [ 'expires', 'purpose' ])).to.deep.equal(_.pick(terms, [ 'expires', 'purpose' ]));
+      expect(Date.parse(tm.created)).to.be.at.least(before);
+    });
+
+    it('should remove keys from the copy that were removed from the original', async function() {
+      store.resources.orig.extra = { old: 'stuff' };
+      const id = await ml.maskRemoteResourceAsNewResource({url, paths: [ '/location' ], token, sync: true});
+      expect(jsonpointer.get(store, `/${id}/extra`)).to.deep.equal({ old: 'stuff' });
+      delete store.resources.orig.extra;
+      changeOriginal({ here: 'somewhere else now' });
+      await ml.syncMaskedResource({url: copyURL(id), token});
+      const copy = jsonpointer.get(store, `/${id}`);
+      expect(copy).to.not.have.property('extra');
+      expect(copy.location).to.have.all.keys('trellis-mask');
+    });
+
+    it('should not leave the unmasked value next to the mask for a newly masked path', async function() {
+      store.resources.orig.key1 = { secret: 'do not share' };
+      const id = await ml.maskRemoteResourceAsNewResource({url, paths: [ '/location' ], token, sync: true});
+      jsonpointer.set(store, `/${id}/_meta/trellis-mask-source/paths`, [ '/location', '/key1' ]);
+      await ml.syncMaskedResource({url: copyURL(id), token, force: true});
+      const copy = jsonpointer.get(store, `/${id}`);
+      expect(copy.key1).to.have.all.keys('trellis-mask');
+      expect(ml.verify({mask: copy.key1, original: { secret: 'do not share' }, nonce: 'thenonce'}).match).to.equal(true);
+    });
+
+    it('should re-mask anyway when passed force', async function() {
+      const id = await ml.maskRemoteResourceAsNewResource({url, paths: [ '/location' ], token, sync: true});
+      const { updated } = await ml.syncMaskedResource({url: copyURL(id), token, force: true});
+      expect(updated).to.equal(true);
+    });
+
+    it('should require privateJWK to re-sign a signed copy', async function() {
+      const id = await ml.maskAndSignRemoteResourceAsNewResource({url, paths: [ '/location' ], token, privateJWK: keys.private, signer, sync: true});
+      changeOriginal({ here: 'somewhere else now' });
+      await expect(ml.syncMaskedResource({url: copyURL(id), token})).to.eventually.be.rejectedWith(/privateJWK/);
+    });
+
+    it('should re-sign a signed copy with the recorded signer', async function() {
+      const id = await ml.maskAndSignRemoteResourceAsNewResource({url, paths: [ '/location' ], token, privateJWK: keys.private, signer, sync: true});
+      changeOriginal({ here: 'somewhere else now' });
+      await ml.syncMaskedResource({url: copyURL(id), token, privateJWK: keys.private});
+      const copy = jsonpointer.get(store, `/${id}`);
+      expect(copy.signatures).to.have.length(1);
+      const { valid, unchanged, payload } = await tsig.verify(copy);
+      expect(valid).to.equal(true);
+      expect(unchanged).to.equal(true);
+      expect(payload['mask-paths']).to.deep.equal([ '/location' ]);
+      expect(payload.signer).to.deep.equal(signer);
+    });
+
+    it('should re-sign a signed copy with a keySigner instead of privateJWK', async function() {
+      const keySigner = ml.jwkKeySigner(keys.private);
+      const id = await ml.maskAndSignRemoteResourceAsNewResource({url, paths: [ '/location' ], token, keySigner, signer, sync: true});
+      changeOriginal({ here: 'somewhere else now' });
+      const { updated } = await ml.syncMaskedResource({url: copyURL(id), token, keySigner});
+      expect(updated).to.equal(true);
+      const { valid, unchanged } = await tsig.verify(jsonpointer.get(store, `/${id}`));
+      expect({valid, unchanged}).to.deep.equal({ valid: true, unchanged: true });
+    });
+  });
+
+  describe('#maskRemoteResourceAsNewResource with link', function() {
+    it('should link the copy from the original\'s _meta/masks keyed by its paths', async function() {
+      const id = await ml.maskRemoteResourceAsNewResource({url, paths: [ '/location', '/key1' ], token, link: true});
+      const key = id.replace(/^resources\//, '');
+      expect(store.resources.orig._meta.masks).to.deep.equal({ '~1key1,~1location': { [key]: { _id: id } } });
+      expect(store.resources.orig._meta.nonce).to.equal('thenonce'); // still there
+    });
+
+    it('should put a reference to the original on the copy\'s _meta', async function() {
+      const id = await ml.maskRemoteResourceAsNewResource({url, paths: [ '/**/here' ], token, link: true});
+      expect(jsonpointer.get(store, `/${id}/_meta/trellis-mask-original`)).to.deep.equal({ url, paths: [ '/location/here' ] });
+    });
+
+    it('should not write any links without link', async function() {
+      const id = await ml.maskRemoteResourceAsNewResource({url, paths: [ '/location' ], token});
+      expect(store.resources.orig._meta.masks).to.equal(undefined);
+      expect(jsonpointer.has(store, `/${id}/_meta/trellis-mask-original`)).to.equal(false);
+    });
+
+    it('should link the copy under bookmarksPath', async function() {
+      const id = await ml.maskRemoteResourceAsNewResource({url, paths: [ '/location' ], token, bookmarksPath: '/bookmarks/trellisfw/masked-audits'});
+      const key = id.replace(/^resources\//, '');
+      expect(store.bookmarks.trellisfw['masked-audits'][key]).to.deep.equal({ _id: id, _rev: 0 });
+    });
+
+    it('should find the linked copies of an original', async function() {
+      const id1 = await ml.maskRemoteResourceAsNewResource({url, paths: [ '/location' ], token, link: true});
+      const id2 = await ml.maskAndSignRemoteResourceAsNewResource({url, paths: [ '/location', '/key1' ], token, privateJWK: keys.private, signer, link: true});
+      expect(await ml.findMaskedCopies({url, token})).to.deep.equal({
+        '~1location': [ id1 ],
+        '~1key1,~1location': [ id2 ],
+      });
+      expect(await ml.findMaskedCopies({url, token, paths: [ '/key1', '/location' ]})).to.deep.equal([ id2 ]);
+      expect(await ml.findMaskedCopies({url, token, paths: [ '/key1' ]})).to.deep.equal([]);
+    });
+
+    it('should keep every linked copy with the same paths', async function() {
+      const forA = await ml.maskRemoteResourceAsNewResource({url, paths: [ '/location' ], token, link: true, purpose: 'buyer A'});
+      const forB = await ml.maskRemoteResourceAsNewResource({url, paths: [ '/location' ], token, link: true, purpose: 'buyer B'});
+      expect(_.sortBy(await ml.findMaskedCopies({url, token, paths: [ '/location' ]}))).to.deep.equal(_.sortBy([ forA, forB ]));
+    });
+
+    it('should find no copies for an original that has none', async function() {
+      expect(await ml.findMaskedCopies({url, token})).to.deep.equal({});
+    });
+  });
+
+  describe('#rotateNonce', function() {
+    const location = { here: 'we are!!' };
+
+    it('should replace the nonce and re-mask linked and synced copies with the new one', async function() {
+      const linked = await ml.maskRemoteResourceAsNewResource({url, paths: [ '/location' ], token, link: true});
+      const synced = await ml.maskRemoteResourceAsNewResource({url, paths: [ '/location' ], token, sync: true});
+      const { nonceurls, updated, failed } = await ml.rotateNonce({url, token, copies: [ copyURL(synced) ]});
+      expect(nonceurls).to.deep.equal([ `${url}/_meta/nonce` ]);
+      expect(updated).to.deep.equal([ copyURL(linked), copyURL(synced) ]);
+      expect(failed).to.deep.equal([]);
+
+      const nonce = store.resources.orig._meta.nonce;
+      expect(nonce).to.not.equal('thenonce');
+      _.each([ linked, synced ], id => {
+        const copy = jsonpointer.get(store, `/${id}`);
+        expect(ml.verify({mask: copy.location, original: location, nonce: 'thenonce'}).match).to.equal(false);
+        expect(ml.verify({mask: copy.location, original: location, nonce}).match).to.equal(true);
+      });
+      expect(jsonpointer.get(store, `/${synced}/_meta/trellis-mask-source/paths`)).to.deep.equal([ '/location' ]);
+    });
+
+    it('should re-sign signed copies and report the ones it could not update', async function() {
+      const signed = await ml.maskAndSignRemoteResourceAsNewResource({url, paths: [ '/location' ], token, privateJWK: keys.private, signer, link: true});
+      const { updated } = await ml.rotateNonce({url, token, privateJWK: keys.private});
+      expect(updated).to.deep.equal([ copyURL(signed) ]);
+      const copy = jsonpointer.get(store, `/${signed}`);
+      expect(copy.signatures).to.have.length(1);
+      const { valid, unchanged, payload } = await tsig.verify(copy);
+      expect({valid, unchanged}).to.deep.equal({ valid: true, unchanged: true });
+      expect(payload.signer).to.deep.equal(signer); // the signer that was on the copy
+
+      const { failed } = await ml.rotateNonce({url, token, copies: [ `${domain}/resources/nothere` ]});
+      expect(_.map(failed, 'url')).to.deep.equal([ copyURL(signed), `${domain}/resources/nothere` ]);
+      expect(failed[0].error).to.match(/privateJWK or keySigner/);
+      expect(_.pick(failed[0], [ 'code', 'status' ])).to.deep.equal({ code: false, status: false });
+      expect(_.pick(failed[1], [ 'code', 'status' ])).to.deep.equal({ code: 'not-found', status: 404 });
+    });
+
+    it('should re-mask every linked copy when several have the same paths', async function() {
+      const first = await ml.maskRemoteResourceAsNewResource({url, paths: [ '/location' ], token, link: true});
+      const second = await ml.maskRemoteResourceAsNewResource({url, paths: [ '/location' ], token, link: true});
+      const { updated, failed } = await ml.rotateNonce({url, token});
+      expect(_.sortBy(updated)).to.deep.equal(_.sortBy([ copyURL(first), copyURL(second) ]));
+      expect(failed).to.deep.equal([]);
+      const nonce = store.resources.orig._meta.nonce;
+      _.each([ first, second ], id => {
+        expect(ml.verify({mask: jsonpointer.get(store, `/${id}/location`), original: location, nonce}).match).to.equal(true);
+      });
+    });
+
+    it('should rotate every per-path nonce of the original', async function() {
+      delete store.resources.orig._meta.nonce;
+      const id = await ml.maskRemoteResourceAsNewResource({url, paths: [ '/location', '/key1' ], token, perPathNonce: true});
+      const old = _.cloneDeep(store.resources.orig._meta.nonces);
+      const { nonceurls, updated } = await ml.rotateNonce({url, token, copies: [ copyURL(id) ]});
+      expect(_.sortBy(nonceurls)).to.deep.equal([ `${url}/_meta/nonces/key1`, `${url}/_meta/nonces/location` ]);
+      expect(updated).to.deep.equal([ copyURL(id) ]);
+      const nonces = store.resources.orig._meta.nonces;
+      expect(nonces.location).to.not.equal(old.location);
+      const copy = jsonpointer.get(store, `/${id}`);
+      expect(ml.verify({mask: copy.location, original: location, nonce: nonces.location}).match).to.equal(true);
+      expect(ml.verify({mask: copy.key1, original: 'not masked string', nonce: nonces.key1}).match).to.equal(true);
+    });
+
+    it('should throw if the original does not have a nonce to rotate', async function() {
+      delete store.resources.orig._meta.nonce;
+      await expect(ml.rotateNonce({url, token})).to.eventually.be.rejectedWith(ml.NotFoundError);
+    });
+  });
+
+  describe('#watchMaskedResource', function() {
+    // Stands in for an oada-cache connection with a websocket
+    let watchCallback = false;
+    let unwatched = false;
+    const watchConnection = {
+      get: async ({path, watch}) => { watchCallback = watch.callback; return { data: jsonpointer.has(store, path) ? jsonpointer.get(store, path) : {} } },
+      delete: async ({path, unwatch}) => { unwatched = unwatch; },
+    };
+
+    it('should sync the copy every time the original changes until unwatched', async function() {
+      const id = await ml.maskRemoteResourceAsNewResource({url, paths: [ '/location' ], token, sync: true});
+      const synced = [];
+      const { result, unwatch } = await ml.watchMaskedResource({url: copyURL(id), token, watchConnection, onSync: r => synced.push(r)});
+      expect(result.updated).to.equal(false);
+
+      const newlocation = { here: 'somewhere else now' };
+      changeOriginal(newlocation);
+      await watchCallback({});
+      expect(_.map(synced, 'updated')).to.deep.equal([ true ]);
+      const copy = jsonpointer.get(store, `/${id}`);
+      expect(ml.verify({mask: copy.location, original: newlocation, nonce: 'thenonce'}).match).to.equal(true);
+
+      await unwatch();
+      expect(unwatched).to.equal(true);
+    });
+
+    it('should stop watching and throw when the first sync fails', async function() {
+      const id = await ml.maskRemoteResourceAsNewResource({url, paths: [ '/location' ], token, sync: true});
+      delete store.resources.orig;
+      unwatched = false;
+      await expect(ml.watchMaskedResource({url: copyURL(id), token, watchConnection})).to.eventually.be.rejectedWith(ml.NotFoundError);
+      expect(unwatched).to.equal(true);
+    });
+
+    it('should call onError when a sync from the change feed fails', async function() {
+      const id = await ml.maskRemoteResourceAsNewResource({url, paths: [ '/location' ], token, sync: true});
+      const errors = [];
+      await ml.watchMaskedResource({url: copyURL(id), token, watchConnection, onError: e => errors.push(e)});
+      delete store.resources.orig;
+      await watchCallback({});
+      expect(errors).to.have.length(1);
+    });
+  });
+});
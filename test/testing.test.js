@@ -0,0 +1,125 @@
+/* Copyright 2020 Open Ag Data Alliance
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+const tsig = require('@trellisfw/signatures');
+const _ = require('lodash');
+
+const ml = require('../index.js'); // mask&link library
+const { createMemoryOADA } = require('../testing.js');
+
+const _type = 'application/vnd.test.testing.1+json';
+const pdf = Buffer.from('%PDF-1.4 pretend this is the audit document');
+function seed() {
+  return {
+    'resources/audit': {
+      _type,
+      _meta: { vdoc: { pdf: { _id: 'resources/thepdf' } } },
+      organization: { name: 'Some Farm', location: { city: 'Somewhere' } },
+      certificate: { _id: 'resources/thecert', _rev: 1 },
+    },
+    'resources/thecert': { _type, certno: '12345' },
+    'resources/thepdf': pdf,
+  };
+}
+
+describe('In-memory OADA for testing', function() {
+  let keys = false;
+  const signer = { name: 'Test Signer', url: 'https://oatscenter.org' };
+  let cloud = false;
+
+  before(async () => {
+    keys = await tsig.keys.create(); // { public, private }
+  });
+
+  beforeEach(() => {
+    cloud = createMemoryOADA({ domain: 'https://test.oada', resources: seed() });
+  });
+
+  describe('#createMemoryOADA', function() {
+    it('should give resources _id, _rev, and _meta and bump _rev on every write', async function() {
+      const { data } = await cloud.get({ path: '/resources/thecert' });
+      expect(_.pick(data, [ '_id', '_rev', 'certno' ])).to.deep.equal({ _id: 'resources/thecert', _rev: 1, certno: '12345' });
+      expect(data._meta._id).to.equal('resources/thecert/_meta');
+      await cloud.put({ path: '/resources/thecert/_meta/nonce', data: JSON.stringify('thenonce'), headers: { 'content-type': _type } });
+      await cloud.put({ path: '/resources/thecert', data: { certno: '54321' } });
+      expect(_.pick(cloud.getResource('resources/thecert'), [ '_rev', 'certno' ])).to.deep.equal({ _rev: 3, certno: '54321' });
+      expect((await cloud.get({ path: '/resources/thecert/_meta/nonce' })).data).to.equal('thenonce');
+    });
+
+    it('should follow links and say where a POST went in content-location', async function() {
+      expect((await cloud.get({ path: '/resources/audit/certificate/certno' })).data).to.equal('12345');
+      const { headers } = await cloud.post({ path: '/resources', data: { _type, a: 1 }, headers: { 'content-type': _type } });
+      const id = headers['content-location'].slice(1);
+      await cloud.put({ path: '/bookmarks/things', data: { mine: { _id: id } } });
+      expect((await cloud.get({ path: '/bookmarks/things/mine/a' })).data).to.equal(1);
+    });
+
+    it('should keep binary resources byte-for-byte with a JSON _meta', async function() {
+      const { data, headers } = await cloud.get({ path: '/resources/thepdf' });
+      expect(headers['content-type']).to.equal('application/octet-stream');
+      expect(Buffer.compare(data, pdf)).to.equal(0);
+      await cloud.put({ path: '/resources/thepdf/_meta/nonce', data: JSON.stringify('thenonce'), headers: { 'content-type': 'application/json' } });
+      expect((await cloud.get({ path: '/resources/thepdf/_meta/nonce' })).data).to.equal('thenonce');
+    });
+
+    it('should reject missing paths with a 404', async function() {
+      await expect(cloud.get({ path: '/resources/nothere' })).to.eventually.be.rejected.and.have.property('status', 404);
+      await expect(cloud.get({ path: '/resources/thecert/nothere' })).to.eventually.be.rejected.and.have.property('status', 404);
+    });
+  });
+
+  describe('as a connection to the remote functions', function() {
+    it('should mask, sign, and verify a resource with links and a binary attachment', async function() {
+      const id = await ml.maskAndSignRemoteResourceAsNewResource({
+        url: cloud.url('resources/audit'), 
+        paths: [ '/organization/location', '/certificate', '/_meta/vdoc/pdf' ], 
+        connection: cloud, privateJWK: keys.private, signer,
+      });
+      const copy = cloud.getResource(id);
+      expect(ml.isMask(copy.organization.location)).to.equal(true);
+      expect(ml.isMask(copy.certificate)).to.equal(true);
+      const { valid, match, unchanged } = await ml.verifyRemoteResource({url: cloud.url(id), connection: cloud});
+      expect({valid, match, unchanged}).to.deep.equal({ valid: true, match: true, unchanged: true });
+    });
+
+    it('should notice when the original changes after masking', async function() {
+      const id = await ml.maskRemoteResourceAsNewResource({url: cloud.url('resources/audit'), paths: [ '/organization/location' ], connection: cloud});
+      await cloud.put({ path: '/resources/audit/organization/location', data: { city: 'Elsewhere' } });
+      const { match } = await ml.verifyRemoteResource({url: cloud.url(id), connection: cloud});
+      expect(match).to.equal(false);
+    });
+
+    it('should link copies, sync them, and call watches when the original changes', async function() {
+      const url = cloud.url('resources/audit');
+      const id = await ml.maskRemoteResourceAsNewResource({url, paths: [ '/organization/location' ], connection: cloud, sync: true, link: true});
+      expect(await ml.findMaskedCopies({url, connection: cloud, paths: [ '/organization/location' ]})).to.deep.equal([ id ]);
+
+      const synced = [];
+      const { unwatch } = await ml.watchMaskedResource({url: cloud.url(id), connection: cloud, watchConnection: cloud, onSync: r => synced.push(r)});
+      await cloud.put({ path: '/resources/audit/organization/location', data: { city: 'Elsewhere' } });
+      await unwatch();
+      expect(_.some(synced, 'updated')).to.equal(true);
+      const location = cloud.getResource(id).organization.location;
+      const nonce = cloud.getResource('resources/audit')._meta.nonce;
+      expect(ml.verify({mask: location, original: { city: 'Elsewhere' }, nonce}).match).to.equal(true);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+/* Copyright 2020 Open Ag Data Alliance
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+const nock = require('nock');
+const tsig = require('@trellisfw/signatures');
+const _ = require('lodash');
+
+process.env.NODE_TLS_REJECT_UNAUTHORIZED = 0;
+
+const ml = require('../index.js'); // mask&link library
+
+const domain = 'https://transports.com';
+const _type = 'application/vnd.test.transports.1+json';
+function original() {
+  return {
+    _id: 'resources/orig',
+    _type,
+    _meta: { nonce: 'thenonce' },
+    key1: 'not masked string',
+    location: { here: 'we are!!' },
+  };
+}
+
+describe('Transports', function() {
+  let keys = false;
+  const signer = { name: 'Test Signer', url: 'https://oatscenter.org' };
+
+  before(async () => {
+    keys = await tsig.keys.create(); // { public, private }
+  });
+
+  after(async () => {
+    nock.cleanAll()
+    nock.enableNetConnect()
+  });
+
+  describe('#memoryTransport', function() {
+    it('should get, merge puts, and post to new keys in its store', async function() {
+      const connection = ml.memoryTransport({ store: { resources: { orig: original() } } });
+      expect((await connection.get({ path: '/resources/orig/location' })).data).to.deep.equal({ here: 'we are!!' });
+      await connection.put({ path: '/resources/orig/location', data: { there: 'too' } });
+      expect(connection.store.resources.orig.location).to.deep.equal({ here: 'we are!!', there: 'too' });
+      const { headers } = await connection.post({ path: '/resources', data: { a: 1 } });
+      expect(headers['content-location']).to.match(/^\/resources\/[0-9a-f]+$/);
+      expect((await connection.get({ path: headers['content-location'] })).data).to.deep.equal({ a: 1 });
+      await expect(connection.get({ path: '/resources/nothere' })).to.eventually.be.rejected.and.have.property('status', 404);
+    });
+
+    it('should mask, sign, and verify a resource without any network', async function() {
+      const connection = ml.memoryTransport({ store: { resources: { orig: original() } } });
+      const id = await ml.maskAndSignRemoteResourceAsNewResource({url: `${domain}/resources/orig`, paths: [ '/location' ], connection, privateJWK: keys.private, signer});
+      const { valid, match, unchanged, original: orig } = await ml.verifyRemoteResource({url: `${domain}/${id}`, connection});
+      expect({valid, match, unchanged}).to.deep.equal({ valid: true, match: true, unchanged: true });
+      expect(orig.location).to.deep.equal({ here: 'we are!!' });
+    });
+
+    it('should turn a missing path into a NotFoundError', async function() {
+      const connection = ml.memoryTransport();
+      await expect(ml.maskRemoteResourceAsNewResource({url: `${domain}/resources/orig`, paths: [ '/location' ], connection}))
+        .to.eventually.be.rejectedWith(ml.NotFoundError);
+    });
+  });
+
+  describe('#httpTransport', function() {
+    it('should send the token and parse JSON', async function() {
+      nock(domain, { reqheaders: { authorization: 'Bearer thetoken' } })
+        .get('/resources/orig')
+        .reply(200, original(), { 'content-type': 'application/json' });
+      const { data } = await ml.httpTransport({ domain, token: 'thetoken' }).get({ path: '/resources/orig' });
+      expect(data).to.deep.equal(original());
+    });
+
+    it('should return binary content as a Buffer with the same bytes', async function() {
+      const pdf = Buffer.from([ 0x25, 0x50, 0x44, 0x46, 0xff, 0x00, 0xfe ]);
+      nock(domain).get('/resources/thepdf').reply(200, pdf, { 'content-type': 'application/pdf' });
+      const { data, headers } = await ml.httpTransport({ domain }).get({ path: '/resources/thepdf' });
+      expect(headers['content-type']).to.equal('application/pdf');
+      expect(Buffer.compare(data, pdf)).to.equal(0);
+    });
+
+    it('should reject with the status of a failed request so it becomes the right error', async function() {
+      nock(domain)
+        .get('/resources/forbidden').reply(403, '')
+        .get('/resources/forbidden/_meta/nonce').reply(200, '"thenonce"', { 'content-type': 'application/json' });
+      const mask = ml.mask({original: { here: 'we are!!' }, nonce: 'thenonce', url: `${domain}/resources/forbidden`, nonceurl: `${domain}/resources/forbidden/_meta/nonce`}).mask;
+      const { report } = await ml.verifyRemote({mask, connection: ml.httpTransport({ domain })});
+      expect(report.error).to.equal('forbidden');
+    });
+  });
+
+  describe('#configureRequests with transport', function() {
+    let requestOptions = false;
+    before(() => { requestOptions = ml.configureRequests({}) });
+    after(() => ml.configureRequests(requestOptions));
+
+    it('should make connections from a token with the configured transport', async function() {
+      const made = [];
+      const connection = ml.memoryTransport({ store: { resources: { orig: original() } } });
+      ml.configureRequests({ transport: ({domain, token}) => { made.push({domain, token}); return connection } });
+      const id = await ml.maskRemoteResourceAsNewResource({url: `${domain}/resources/orig`, paths: [ '/location' ], token: 'thetoken'});
+      expect(made[0]).to.deep.equal({ domain, token: 'thetoken' });
+      expect(ml.isMask(_.get(connection.store, id.split('/')).location)).to.equal(true);
+    });
+
+    it('should throw for a transport that is not a function', function() {
+      expect(() => ml.configureRequests({ transport: {} })).to.throw(/transport/);
+    });
+  });
+});
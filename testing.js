@@ -0,0 +1,223 @@
+const _ = require('lodash');
+const crypto = require('crypto');
+const jsonpointer = require('json-pointer');
+
+const ml = require('./index.js');
+
+const debug = require('debug');
+const trace = debug('trellisfw-masklink:testing:trace');
+
+//---------------------------------------------------------------------------
+//---------------------------------------------------------------------------
+// An in-memory stand-in for an OADA cloud, so you can test mask and verify flows
+// without nock.  It is a connection (see Transports in index.js), so pass it as
+// connection (or in connections) to any of the remote functions:
+//
+//   const { createMemoryOADA } = require('@trellisfw/masklink/testing');
+//   const cloud = createMemoryOADA({ domain: 'https://test.com', resources: { 'resources/audit': audit } });
+//   const id = await ml.maskRemoteResourceAsNewResource({ url: cloud.url('resources/audit'), paths, connection: cloud });
+//
+// It keeps each resource's body and _meta in memoryTransport's from index.js, and acts like OADA does:
+// - GET/PUT/POST/DELETE on /resources/<id>/..., /bookmarks/..., and anything under a resource's _meta
+// - links ({ _id } or { _id, _rev }) are followed on the way to a path
+// - every write to a resource (or its _meta) bumps its _rev, and GET's give you _id, _rev, and _meta
+// - POST to /resources makes a new resource and says where in content-location
+// - a resource can be binary (a Buffer with its own content-type) and still have a JSON _meta
+// - GET with watch: { callback } calls callback on every change to that resource until DELETE with unwatch,
+//   and the write that made the change doesn't resolve until the callbacks have
+//---------------------------------------------------------------------------
+//---------------------------------------------------------------------------
+
+const OADA_KEYS = [ '_id', '_rev', '_meta' ];
+
+function isJSONType(contentType) {
+  return !contentType || /json/.test(contentType);
+}
+function statusError(status, message) {
+  return _.assign(new Error(message), { status });
+}
+
+// domain: what url(id) puts in front of resource ids, default https://memory.oada
+// resources: optional object of resource id => content to start with.  content is a JSON object (its content-type
+//            is its _type, or application/json), or a Buffer (application/octet-stream unless you use putResource).
+function createMemoryOADA({domain, resources} = {}) {
+  domain = (domain || 'https://memory.oada').replace(/\/$/, '');
+  // Bodies and _meta's are kept in two memoryTransport's at the resource id (i.e. /resources/123), and
+  // info has the rest of each resource: id => { contentType, rev }
+  let bodies, metas, info, watches;
+
+  const pointerFor = (id, rest) => jsonpointer.compile(id.split('/').concat(rest || []));
+
+  function createRecord(id, content, contentType) {
+    const binary = Buffer.isBuffer(content) || !isJSONType(contentType);
+    contentType = contentType || (binary ? 'application/octet-stream' : ((content && content._type) || 'application/json'));
+    jsonpointer.set(bodies.store, pointerFor(id), binary ? Buffer.from(content || '') : _.cloneDeep(_.omit(content || {}, OADA_KEYS)));
+    jsonpointer.set(metas.store, pointerFor(id), _.cloneDeep((!binary && content && content._meta) || {}));
+    info[id] = { contentType, rev: 1 };
+    trace(`#createMemoryOADA: created ${id} as ${contentType}`);
+    return info[id];
+  }
+
+  function reset(seed) {
+    bodies = ml.memoryTransport();
+    metas = ml.memoryTransport();
+    info = {};
+    watches = {};
+    createRecord('bookmarks', { _type: 'application/vnd.oada.bookmarks.1+json' });
+    _.each(seed, (content, id) => createRecord(id, content));
+  }
+  reset(resources);
+
+  // What a GET of the whole resource or its _meta looks like
+  const bodyOf = id => jsonpointer.get(bodies.store, pointerFor(id));
+  const metaView = id => _.assign(_.cloneDeep(jsonpointer.get(metas.store, pointerFor(id))),
+    { _id: `${id}/_meta`, _rev: info[id].rev, _type: info[id].contentType });
+  const bodyView = id => Buffer.isBuffer(bodyOf(id)) ? Buffer.from(bodyOf(id))
+    : _.assign(_.cloneDeep(bodyOf(id)), { _id: id, _rev: info[id].rev, _meta: metaView(id) });
+
+  // Finds which resource a path ends up in after following links.  Returns { id, record, meta, rest } where
+  // rest is the path left inside the resource (or its _meta if meta is true).  record is false if there is no such resource.
+  // followLast: also follow a link if it is the last thing on the path (GET does, PUT and DELETE change the link itself)
+  function resolve(path, followLast) {
+    const segments = jsonpointer.parse(path);
+    let id = segments[0] === 'resources' ? `resources/${segments[1]}` : segments[0];
+    let rest = segments.slice(segments[0] === 'resources' ? 2 : 1);
+    if (!id || id === 'resources/undefined') throw statusError(400, `${path} is not in a resource`);
+    for (let hops = 0; hops < 100; hops++) {
+      const record = info[id] || false;
+      const meta = rest[0] === '_meta';
+      if (!record) return { id, record, meta, rest: meta ? rest.slice(1) : rest };
+      let node = meta ? jsonpointer.get(metas.store, pointerFor(id)) : bodyOf(id);
+      let link = false;
+      for (let i = meta ? 1 : 0; i < rest.length; i++) {
+        if (!_.isPlainObject(node) || !_.has(node, rest[i])) break;
+        node = node[rest[i]];
+        if (ml.isLink(node) && (i < rest.length - 1 || followLast)) {
+          link = { id: node._id, rest: rest.slice(i + 1) };
+          break;
+        }
+      }
+      if (!link) return { id, record, meta, rest: meta ? rest.slice(1) : rest };
+      id = link.id;
+      rest = link.rest;
+    }
+    throw statusError(508, `Too many links on the way to ${path}`);
+  }
+
+  // Watches are called before the write that changed the resource resolves, so tests don't have to wait for them
+  function changed(id, record) {
+    record.rev++;
+    trace(`#createMemoryOADA: ${id} is now at _rev ${record.rev}`);
+    return notify(id, record);
+  }
+  function notify(id, record) {
+    return Promise.all(_.map(watches[id], callback => callback({ resource_id: id, _rev: record.rev })));
+  }
+
+  // A PUT of a whole resource (or its _meta) can have the OADA keys in it.  memoryTransport writes them like any
+  // other key, so this moves a _meta into the resource's _meta and throws the rest away.
+  async function keepOADAKeysOut(id, meta) {
+    const transport = meta ? metas : bodies;
+    const written = jsonpointer.get(transport.store, pointerFor(id));
+    if (!meta && _.isPlainObject(written._meta)) await metas.put({ path: pointerFor(id), data: _.omit(written._meta, OADA_KEYS) });
+    const keys = _.intersection(_.keys(written), meta ? OADA_KEYS.concat('_type') : OADA_KEYS);
+    await Promise.all(_.map(keys, k => transport.delete({ path: pointerFor(id, [ k ]) })));
+  }
+
+  // Parsing JSON strings (the library sends nonces as JSON strings), merging, and setting anything that isn't
+  // an object are all left to memoryTransport
+  async function write(path, data, headers) {
+    const contentType = headers && headers['content-type'];
+    const { id, record, meta, rest } = resolve(path, false);
+    if (!record && (rest.length > 0 || meta)) throw statusError(404, `Resource ${id} for ${path} was not found`);
+    const binary = Buffer.isBuffer(data) || !isJSONType(contentType);
+    if (!record) {
+      createRecord(id, binary ? data : {}, contentType);
+      if (binary) return notify(id, info[id]);
+    }
+    if (!meta && rest.length < 1 && (binary || Buffer.isBuffer(bodyOf(id)))) {
+      await bodies.put({ path: pointerFor(id), data: Buffer.from(data) });
+      if (contentType) record.contentType = contentType;
+    } else {
+      if (!meta && Buffer.isBuffer(bodyOf(id))) throw statusError(400, `Cannot put a key into binary resource ${id}`);
+      await (meta ? metas : bodies).put({ path: pointerFor(id, rest), data, headers });
+      if (rest.length < 1) await keepOADAKeysOut(id, meta);
+    }
+    if (!record) {
+      // A new resource is the _type it was written with unless the PUT said otherwise
+      if (!contentType && bodyOf(id)._type) info[id].contentType = bodyOf(id)._type;
+      return notify(id, info[id]);
+    }
+    return changed(id, record);
+  }
+
+  const cloud = {
+    domain,
+    url: id => `${domain}/${id}`,
+
+    get: async ({path, watch}) => {
+      const { id, record, meta, rest } = resolve(path, true);
+      if (!record) throw statusError(404, `${path} was not found`);
+      const view = meta ? metaView(id) : bodyView(id);
+      const pointer = jsonpointer.compile(rest);
+      if (rest.length > 0 && (Buffer.isBuffer(view) || !jsonpointer.has(view, pointer))) {
+        throw statusError(404, `${path} was not found`);
+      }
+      if (watch && typeof watch.callback === 'function') {
+        watches[id] = (watches[id] || []).concat([ watch.callback ]);
+      }
+      const contentType = (rest.length < 1 && !meta) ? record.contentType : 'application/json';
+      return {
+        status: 200,
+        data: rest.length > 0 ? jsonpointer.get(view, pointer) : view,
+        headers: { 'content-type': contentType, 'x-oada-rev': `${record.rev}`, 'content-location': `/${id}` },
+      };
+    },
+
+    put: async ({path, data, headers}) => {
+      await write(path, data, headers);
+      return { status: 204, data: '', headers: { 'content-location': path } };
+    },
+
+    post: async ({path, data, headers}) => {
+      const key = crypto.randomBytes(16).toString('hex');
+      const newpath = `${path.replace(/\/$/, '')}/${key}`;
+      await write(newpath, data, headers);
+      return { status: 201, data: '', headers: { 'content-location': newpath } };
+    },
+
+    delete: async ({path, unwatch}) => {
+      const { id, record, meta, rest } = resolve(path, !!unwatch);
+      if (unwatch) {
+        delete watches[id];
+        return { status: 204, data: '', headers: {} };
+      }
+      if (!record) throw statusError(404, `${path} was not found`);
+      if (!meta && rest.length < 1) {
+        await bodies.delete({ path: pointerFor(id) });
+        await metas.delete({ path: pointerFor(id) });
+        delete info[id];
+        delete watches[id];
+        return { status: 204, data: '', headers: {} };
+      }
+      if (!meta && Buffer.isBuffer(bodyOf(id))) throw statusError(404, `${path} was not found`);
+      await (meta ? metas : bodies).delete({ path: pointerFor(id, rest) });
+      await changed(id, record);
+      return { status: 204, data: '', headers: {} };
+    },
+
+    // Synchronous helpers for setting up and checking on tests:
+
+    // The whole resource like a GET would return it (a Buffer for a binary one), or undefined if it isn't there
+    getResource: id => info[id] ? bodyView(id) : undefined,
+    // Adds or replaces a whole resource, i.e. a binary one with its content-type
+    putResource: (id, content, contentType) => { createRecord(id, content, contentType) },
+    // Throws away everything and starts over with the resources in seed
+    reset,
+  };
+  return cloud;
+}
+
+module.exports = {
+  createMemoryOADA, // sync, returns a connection that never talks outside
+};